@@ -0,0 +1,211 @@
+import * as THREE from "https://cdn.jsdelivr.net/npm/three@0.181.0/build/three.module.js";
+
+import { utils } from "./utils.js";
+
+export const biomes = (function () {
+  // Biome definitions file format (see resources/biomes.json):
+  //  - textures: ordered texture slots, { name, diffuse, normal }. The order
+  //    is the layer index in the terrain texture atlases.
+  //  - fallback: texture used where no biome matches
+  //  - biomes: { name, texture, altitude, slope, moisture, temperature,
+  //    colour }. The four ranges are { min, max, fade }, with missing bounds
+  //    left open; altitude is in metres, slope in degrees and moisture and
+  //    temperature in [0, 1]. colour is a ramp of [altitude, "#rrggbb"].
+  //    An optional cliff { texture, slope, colour } takes over the biome's
+  //    share where the ground is steeper than its slope range allows.
+  const _DEFAULT_URL = "./resources/biomes.json";
+
+  // Chunk geometry packs one splat weight per texture slot into two vec4s
+  const _MAX_TEXTURES = 8;
+
+  const _loaded = new Map();
+
+  function _Smoothstep(edge0, edge1, x) {
+    if (edge1 <= edge0) {
+      return x < edge0 ? 0.0 : 1.0;
+    }
+    const t = Math.min(1.0, Math.max(0.0, (x - edge0) / (edge1 - edge0)));
+    return t * t * (3.0 - 2.0 * t);
+  }
+
+  function _ParseRange(range) {
+    range = range || {};
+    return {
+      min: range.min !== undefined ? range.min : -Infinity,
+      max: range.max !== undefined ? range.max : Infinity,
+      fade: range.fade !== undefined ? range.fade : 0.0,
+    };
+  }
+
+  // Soft membership of value in range, fading over range.fade centred on
+  // each bound.
+  function _InRange(range, value) {
+    const half = range.fade * 0.5;
+    let w = 1.0;
+    if (range.min > -Infinity) {
+      w *= _Smoothstep(range.min - half, range.min + half, value);
+    }
+    if (range.max < Infinity) {
+      w *= 1.0 - _Smoothstep(range.max - half, range.max + half, value);
+    }
+    return w;
+  }
+
+  function _ParseRamp(ramp) {
+    return (ramp || [[0, "#808080"]])
+      .map(([altitude, hex]) => ({
+        altitude: altitude,
+        colour: new THREE.Color(hex),
+      }))
+      .sort((a, b) => a.altitude - b.altitude);
+  }
+
+  class BiomeSet {
+    // version identifies the definitions' contents, see Version
+    constructor(definitions, version) {
+      this._version = version || null;
+      this._textures = definitions.textures.map((t, i) => ({
+        name: t.name,
+        index: i,
+        diffuse: t.diffuse,
+        normal: t.normal,
+      }));
+      if (this._textures.length < 4) {
+        throw new Error("Biome definitions need at least 4 textures");
+      }
+      if (this._textures.length > _MAX_TEXTURES) {
+        throw new Error(
+          `Biome definitions allow at most ${_MAX_TEXTURES} textures`
+        );
+      }
+
+      this._slots = {};
+      for (const t of this._textures) {
+        this._slots[t.name] = t.index;
+      }
+
+      this._fallback = this._Slot(
+        definitions.fallback || this._textures[0].name
+      );
+
+      this._biomes = definitions.biomes.map((b) => ({
+        name: b.name,
+        texture: this._Slot(b.texture),
+        altitude: _ParseRange(b.altitude),
+        slope: _ParseRange(b.slope),
+        moisture: _ParseRange(b.moisture),
+        temperature: _ParseRange(b.temperature),
+        colour: _ParseRamp(b.colour),
+        scenery: b.scenery
+          ? { tree: b.scenery.tree || 0.0, rock: b.scenery.rock || 0.0 }
+          : null,
+        cliff: b.cliff
+          ? {
+              texture: this._Slot(b.cliff.texture),
+              slope: _ParseRange(b.cliff.slope),
+              colour: b.cliff.colour ? _ParseRamp(b.cliff.colour) : null,
+            }
+          : null,
+      }));
+
+      this._match = {
+        weights: new Float32Array(this._biomes.length),
+        cliff: new Float32Array(this._biomes.length),
+      };
+    }
+
+    _Slot(name) {
+      if (!(name in this._slots)) {
+        throw new Error(`Unknown biome texture "${name}"`);
+      }
+      return this._slots[name];
+    }
+
+    // Hash of the definitions file, so cached chunks built from an older
+    // copy aren't handed back
+    get Version() {
+      return this._version;
+    }
+
+    get Textures() {
+      return this._textures;
+    }
+
+    get Biomes() {
+      return this._biomes;
+    }
+
+    get FallbackTexture() {
+      return this._fallback;
+    }
+
+    // Weight of every biome for the given conditions, and the fraction of
+    // each that its cliff takes over, as { weights, cliff } indexed like
+    // Biomes. The result is reused between calls.
+    Match(altitude, slope, moisture, temperature) {
+      const weights = this._match.weights;
+      const cliff = this._match.cliff;
+      for (let i = 0; i < this._biomes.length; i++) {
+        const b = this._biomes[i];
+        weights[i] =
+          _InRange(b.altitude, altitude) *
+          _InRange(b.slope, slope) *
+          _InRange(b.moisture, moisture) *
+          _InRange(b.temperature, temperature);
+        cliff[i] = b.cliff ? _InRange(b.cliff.slope, slope) : 0.0;
+      }
+      return this._match;
+    }
+
+    // Colour of one biome at an altitude, written into target. With cliff
+    // set, uses the cliff's ramp when it has one.
+    RampColour(biome, altitude, target, cliff) {
+      const ramp =
+        cliff && biome.cliff.colour ? biome.cliff.colour : biome.colour;
+      if (altitude <= ramp[0].altitude) {
+        return target.copy(ramp[0].colour);
+      }
+      for (let i = 1; i < ramp.length; i++) {
+        if (altitude < ramp[i].altitude) {
+          const a = ramp[i - 1];
+          const b = ramp[i];
+          const t = (altitude - a.altitude) / (b.altitude - a.altitude);
+          return target.copy(a.colour).lerp(b.colour, t);
+        }
+      }
+      return target.copy(ramp[ramp.length - 1].colour);
+    }
+  }
+
+  // Fetches and parses a definitions file once per URL. Works on the main
+  // thread and in the chunk workers, so pass absolute URLs to workers. A
+  // failed load isn't kept, so the next call tries again.
+  function Load(url) {
+    url = url || _DEFAULT_URL;
+    if (!_loaded.has(url)) {
+      _loaded.set(
+        url,
+        fetch(url)
+          .then((response) => {
+            if (!response.ok) {
+              throw new Error(`Failed to load biomes from ${url}`);
+            }
+            return response.text();
+          })
+          .then((text) => new BiomeSet(JSON.parse(text), utils.Hash(text)))
+          .catch((err) => {
+            _loaded.delete(url);
+            throw err;
+          })
+      );
+    }
+    return _loaded.get(url);
+  }
+
+  return {
+    DEFAULT_URL: _DEFAULT_URL,
+    MAX_TEXTURES: _MAX_TEXTURES,
+    BiomeSet: BiomeSet,
+    Load: Load,
+  };
+})();
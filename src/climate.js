@@ -0,0 +1,98 @@
+import { math } from "./math.js";
+import { noise } from "./noise.js";
+
+export const climate = (function () {
+  // Temperature and moisture both come out in [0, 1], the units the
+  // biome definitions use. Lapse rate is in temperature units per km.
+  const _DEFAULT_PARAMS = {
+    equatorTemperature: 0.9,
+    poleTemperature: 0.0,
+    lapseRate: 0.35,
+    circulation: 0.2,
+    coastal: 0.15,
+    coastalFalloff: 300.0,
+  };
+
+  class ClimateModel {
+    constructor(params) {
+      this._Init(params);
+    }
+
+    // params:
+    //  - shape: "planet" or "ring"
+    //  - climateParams: live settings, see DEFAULT_PARAMS
+    //  - moistureParams: noise params for the large scale moisture field
+    _Init(params) {
+      this._shape = params.shape || "planet";
+      this._params = params.climateParams || _DEFAULT_PARAMS;
+      this._moisture = new noise.Noise(params.moistureParams);
+    }
+
+    _Param(name) {
+      const value = this._params[name];
+      return value !== undefined ? value : _DEFAULT_PARAMS[name];
+    }
+
+    // Fraction of the way from the equator to a pole. The planet's sample
+    // latitude is the sine of the latitude angle. The ring's is the offset
+    // across the floor, and a ring has no poles.
+    _PolarFraction(sample) {
+      if (this._shape === "ring") {
+        return 0.0;
+      }
+      return Math.asin(math.sat(sample.latitude)) / (Math.PI * 0.5);
+    }
+
+    _Temperature(sample, polar) {
+      const seaLevel =
+        math.lerp(
+          polar,
+          this._Param("equatorTemperature"),
+          this._Param("poleTemperature")
+        ) + sample.temperatureOffset;
+      const altitude = Math.max(0.0, sample.height);
+      return math.sat(seaLevel - (altitude / 1000.0) * this._Param("lapseRate"));
+    }
+
+    // Noise sampled on the undisplaced surface so every LOD agrees, nudged
+    // by the planet's circulation bands (wet equator, dry horse latitudes,
+    // wet mid latitudes, dry poles) and wetter near the coast. A ring's
+    // land map shifts both this and the temperature.
+    _Moisture(sample, polar) {
+      const base = sample.base;
+      let m = this._moisture.Get(base.x, base.y, base.z);
+      m += sample.moistureOffset;
+
+      if (this._shape !== "ring") {
+        m += Math.cos(polar * Math.PI * 3.0) * this._Param("circulation");
+      }
+
+      const altitude = Math.max(0.0, sample.height);
+      const falloff = Math.max(1.0, this._Param("coastalFalloff"));
+      m += this._Param("coastal") * (1.0 - math.sat(altitude / falloff));
+
+      return math.sat(m);
+    }
+
+    NewClimate() {
+      return {
+        temperature: 0.0,
+        moisture: 0.0,
+      };
+    }
+
+    // Climate at a terrain height sample, written into target
+    Get(sample, target) {
+      target = target || this.NewClimate();
+      const polar = this._PolarFraction(sample);
+      target.temperature = this._Temperature(sample, polar);
+      target.moisture = this._Moisture(sample, polar);
+      return target;
+    }
+  }
+
+  return {
+    DEFAULT_PARAMS: _DEFAULT_PARAMS,
+    ClimateModel: ClimateModel,
+  };
+})();
@@ -1,11 +1,16 @@
 import * as THREE from "https://cdn.jsdelivr.net/npm/three@0.181.0/build/three.module.js";
 import { OrbitControls } from "https://cdn.jsdelivr.net/npm/three@0.181.0/examples/jsm/controls/OrbitControls.js";
+import { ring_physics } from "./ring-physics.js";
 
 export const controls = (function () {
   const KM_CUBE_SIZE = 1000;
   const KM_CUBE_HALF = KM_CUBE_SIZE * 0.5;
   const KM_CUBE_SPAWN_BUFFER = 500;
   const KM_CUBE_COLOR = 0x1e88e5;
+
+  // Walking mode keeps the view this far from straight up/down so the
+  // surface-aligned yaw axis never degenerates.
+  const _WALK_MAX_PITCH = Math.PI * 0.49;
   const KM_CUBE_GEOMETRY = new THREE.BoxGeometry(
     KM_CUBE_SIZE,
     KM_CUBE_SIZE,
@@ -88,6 +93,7 @@ void main() {
         down: false,
         rotateLeft: false,
         rotateRight: false,
+        jump: false,
       };
       this._standing = true;
       this._velocity = new THREE.Vector3(0, 0, 0);
@@ -114,6 +120,25 @@ void main() {
       this._spawnDirection = new THREE.Vector3();
       this._spawnPosition = new THREE.Vector3();
       this._spawnUp = new THREE.Vector3();
+      this._pickNDC = new THREE.Vector2(0, 0);
+      this._lastPick = null;
+
+      // Walking mode state. The body quaternion carries heading with its
+      // Y axis locked to the surface up; pitch is applied on top of it.
+      this._walking = false;
+      this._grounded = false;
+      this._walkBody = new THREE.Quaternion();
+      this._walkPitch = 0.0;
+      this._walkUp = new THREE.Vector3(0, 1, 0);
+      this._walkVelocity = new THREE.Vector3();
+      this._walkWish = new THREE.Vector3();
+      this._walkStart = new THREE.Vector3();
+      this._walkDelta = new THREE.Vector3();
+      this._walkAlign = new THREE.Quaternion();
+      this._walkBasis = new THREE.Matrix4();
+      this._walkGravity = new THREE.Vector3();
+      this._wallNormal = new THREE.Vector3();
+      this._verticalSpeed = 0.0;
 
       this._gamepad = null;
       this._gamepadSensitivity = {
@@ -135,9 +160,9 @@ void main() {
         /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(
           navigator.userAgent
         );
-      
+
       this._isTouchDevice = hasTouchEvents || isMobileUA;
-      
+
       // Debug logging (can be removed in production)
       if (this._isTouchDevice) {
         console.log("Mobile controls enabled:", {
@@ -185,6 +210,12 @@ void main() {
     _InitGUI() {
       this._params.guiParams.camera = {
         acceleration_x: 12,
+        walking: false,
+        eyeHeight: 1.7,
+        walkSpeed: 6.0,
+        jumpSpeed: 5.0,
+        gravity: 9.81,
+        maxSlope: 45.0,
       };
 
       const rollup = this._params.gui.addFolder("Camera.FPS");
@@ -202,6 +233,34 @@ void main() {
             this._params.guiParams.camera.acceleration_x
           );
         });
+      this._walkingController = rollup
+        .add(this._params.guiParams.camera, "walking")
+        .onChange((value) => {
+          this.SetWalking(value);
+        });
+      rollup.add(this._params.guiParams.camera, "eyeHeight", 0.5, 10.0);
+      rollup.add(this._params.guiParams.camera, "walkSpeed", 1.0, 50.0);
+      rollup.add(this._params.guiParams.camera, "jumpSpeed", 0.0, 20.0);
+      rollup.add(this._params.guiParams.camera, "gravity", 0.0, 30.0);
+      rollup.add(this._params.guiParams.camera, "maxSlope", 5.0, 85.0);
+
+      // Ring gravity comes from its spin, so expose it as the floor gravity
+      // it produces rather than as an angular rate.
+      const physics = (this._params.terrainManagers || [])
+        .map((m) => (m && m.GetPhysics ? m.GetPhysics() : null))
+        .filter((p) => p);
+      if (physics.length > 0) {
+        this._params.guiParams.camera.ringGravity = physics[0].FloorGravity;
+        rollup
+          .add(this._params.guiParams.camera, "ringGravity", 0.0, 30.0)
+          .onChange((value) => {
+            for (const p of physics) {
+              p.SetSpinRate(
+                ring_physics.RingSpinPhysics.SpinRateForGravity(p.Radius, value)
+              );
+            }
+          });
+      }
     }
 
     _onKeyDown(event) {
@@ -236,6 +295,9 @@ void main() {
         case 69: // e
           this._move.rotateLeft = true;
           break;
+        case 32: // SPACE
+          this._move.jump = true;
+          break;
       }
     }
 
@@ -271,6 +333,9 @@ void main() {
         case 69: // e
           this._move.rotateLeft = false;
           break;
+        case 32: // SPACE
+          this._move.jump = false;
+          break;
       }
     }
 
@@ -307,6 +372,10 @@ void main() {
     }
 
     _OnMouseDown(event) {
+      if (this._enabled && event.button === 0) {
+        this._PickTerrain();
+      }
+
       // Object placement disabled
       return;
       
@@ -346,6 +415,32 @@ void main() {
       scene.add(cube);
     }
 
+    // With pointer lock the cursor is pinned to the centre of the screen, so
+    // that is what gets picked. Closest hit across all terrain managers wins.
+    _PickTerrain() {
+      const managers = this._params.terrainManagers || [];
+      let best = null;
+      for (const m of managers) {
+        if (!m || !m.PickScreenPoint) {
+          continue;
+        }
+        const hit = m.PickScreenPoint(this._pickNDC, this._camera);
+        if (hit && (!best || hit.distance < best.distance)) {
+          best = hit;
+        }
+      }
+
+      this._lastPick = best;
+      if (this._params.onPick) {
+        this._params.onPick(best);
+      }
+      return best;
+    }
+
+    get LastPick() {
+      return this._lastPick;
+    }
+
     _OnMouseMove(event) {
       if (!this._enabled) {
         return;
@@ -360,29 +455,49 @@ void main() {
         return;
       }
 
+      this._ApplyLook(
+        -movementX * this._mouseSensitivity.yaw,
+        -movementY * this._mouseSensitivity.pitch
+      );
+    }
+
+    // Yaw and pitch the view. Flying rotates freely about the camera's own
+    // axes; walking yaws about the surface up and clamps pitch instead.
+    _ApplyLook(yaw, pitch) {
+      if (this._walking) {
+        if (yaw !== 0) {
+          this._yawAxis
+            .set(0, 1, 0)
+            .applyQuaternion(this._walkBody)
+            .normalize();
+          this._yawQuaternion.setFromAxisAngle(this._yawAxis, yaw);
+          this._walkBody.premultiply(this._yawQuaternion).normalize();
+        }
+        this._walkPitch = Math.max(
+          -_WALK_MAX_PITCH,
+          Math.min(_WALK_MAX_PITCH, this._walkPitch + pitch)
+        );
+        this._ApplyWalkOrientation();
+        return;
+      }
+
       const camera = this._camera;
 
-      if (movementX !== 0) {
+      if (yaw !== 0) {
         this._yawAxis
           .set(0, 1, 0)
           .applyQuaternion(camera.quaternion)
           .normalize();
-        this._yawQuaternion.setFromAxisAngle(
-          this._yawAxis,
-          -movementX * this._mouseSensitivity.yaw
-        );
+        this._yawQuaternion.setFromAxisAngle(this._yawAxis, yaw);
         camera.quaternion.premultiply(this._yawQuaternion);
       }
 
-      if (movementY !== 0) {
+      if (pitch !== 0) {
         this._pitchAxis
           .set(1, 0, 0)
           .applyQuaternion(camera.quaternion)
           .normalize();
-        this._pitchQuaternion.setFromAxisAngle(
-          this._pitchAxis,
-          -movementY * this._mouseSensitivity.pitch
-        );
+        this._pitchQuaternion.setFromAxisAngle(this._pitchAxis, pitch);
         camera.quaternion.premultiply(this._pitchQuaternion);
       }
 
@@ -640,34 +755,10 @@ void main() {
         return;
       }
 
-      const camera = this._camera;
-
-      if (deltaX !== 0) {
-        this._yawAxis
-          .set(0, 1, 0)
-          .applyQuaternion(camera.quaternion)
-          .normalize();
-        this._yawQuaternion.setFromAxisAngle(
-          this._yawAxis,
-          -deltaX * this._touchSensitivity.yaw
-        );
-        camera.quaternion.premultiply(this._yawQuaternion);
-      }
-
-      if (deltaY !== 0) {
-        this._pitchAxis
-          .set(1, 0, 0)
-          .applyQuaternion(camera.quaternion)
-          .normalize();
-        this._pitchQuaternion.setFromAxisAngle(
-          this._pitchAxis,
-          -deltaY * this._touchSensitivity.pitch
-        );
-        camera.quaternion.premultiply(this._pitchQuaternion);
-      }
-
-      camera.quaternion.normalize();
-      camera.updateMatrixWorld(true);
+      this._ApplyLook(
+        -deltaX * this._touchSensitivity.yaw,
+        -deltaY * this._touchSensitivity.pitch
+      );
 
       this._lastTouchX = touch.clientX;
       this._lastTouchY = touch.clientY;
@@ -753,34 +844,10 @@ void main() {
 
       // Apply camera rotation
       if (rightStickX !== 0 || rightStickY !== 0) {
-        const camera = this._camera;
-
-        if (rightStickX !== 0) {
-          this._yawAxis
-            .set(0, 1, 0)
-            .applyQuaternion(camera.quaternion)
-            .normalize();
-          this._yawQuaternion.setFromAxisAngle(
-            this._yawAxis,
-            -rightStickX * this._gamepadSensitivity.yaw * timeInSeconds * 60
-          );
-          camera.quaternion.premultiply(this._yawQuaternion);
-        }
-
-        if (rightStickY !== 0) {
-          this._pitchAxis
-            .set(1, 0, 0)
-            .applyQuaternion(camera.quaternion)
-            .normalize();
-          this._pitchQuaternion.setFromAxisAngle(
-            this._pitchAxis,
-            -rightStickY * this._gamepadSensitivity.pitch * timeInSeconds * 60
-          );
-          camera.quaternion.premultiply(this._pitchQuaternion);
-        }
-
-        camera.quaternion.normalize();
-        camera.updateMatrixWorld(true);
+        this._ApplyLook(
+          -rightStickX * this._gamepadSensitivity.yaw * timeInSeconds * 60,
+          -rightStickY * this._gamepadSensitivity.pitch * timeInSeconds * 60
+        );
       }
 
       // Triggers for acceleration adjustment
@@ -907,14 +974,275 @@ void main() {
       }
     }
 
-    _FindIntersections(boxes, position) {
-      const sphere = new THREE.Sphere(position, this._radius);
+    // Closest terrain surface to position across all terrain managers, as
+    // { sampler, physics, sample, altitude } or null when no terrain is
+    // underneath. physics is only set for shapes with their own gravity.
+    _SampleGround(position) {
+      const managers = this._params.terrainManagers || [];
+      let best = null;
+      for (const m of managers) {
+        if (!m || !m.GetHeightSampler) {
+          continue;
+        }
+        const sampler = m.GetHeightSampler();
+        const sample = sampler.NewSample();
+        const altitude = sampler.Altitude(position, sample);
+        if (!sampler.HasSurface(sample)) {
+          continue;
+        }
+        if (!best || Math.abs(altitude) < Math.abs(best.altitude)) {
+          best = {
+            sampler: sampler,
+            physics: m.GetPhysics ? m.GetPhysics() : null,
+            sample: sample,
+            altitude: altitude,
+          };
+        }
+      }
+      return best;
+    }
 
-      const intersections = boxes.filter((b) => {
-        return sphere.intersectsBox(b);
-      });
+    get Walking() {
+      return this._walking;
+    }
 
-      return intersections;
+    SetWalking(walking) {
+      const ground = walking ? this._SampleGround(this._camera.position) : null;
+      if (walking && !ground) {
+        console.warn("Walking mode needs terrain underneath the camera");
+        walking = false;
+      }
+
+      this._params.guiParams.camera.walking = walking;
+      if (this._walkingController) {
+        this._walkingController.updateDisplay();
+      }
+
+      if (walking === this._walking) {
+        return;
+      }
+      this._walking = walking;
+      this._velocity.set(0, 0, 0);
+      this._walkVelocity.set(0, 0, 0);
+      this._verticalSpeed = 0.0;
+
+      if (!walking) {
+        return;
+      }
+
+      // Derive heading and pitch from the current view, then drop the camera
+      // onto the ground at eye height.
+      const up = this._walkUp.copy(ground.sample.up);
+      const forward = this._forwardVector
+        .set(0, 0, -1)
+        .applyQuaternion(this._camera.quaternion);
+      const pitch = Math.asin(Math.max(-1.0, Math.min(1.0, forward.dot(up))));
+      this._walkPitch = Math.max(
+        -_WALK_MAX_PITCH,
+        Math.min(_WALK_MAX_PITCH, pitch)
+      );
+
+      // Looking straight up or down, fall back to the camera's up vector
+      forward.addScaledVector(up, -forward.dot(up));
+      if (forward.lengthSq() < 1e-8) {
+        forward.set(0, 1, 0).applyQuaternion(this._camera.quaternion);
+        forward.addScaledVector(up, -forward.dot(up));
+      }
+      forward.normalize();
+      const back = this._walkDelta.copy(forward).negate();
+      const side = this._sideVector.crossVectors(up, back).normalize();
+      this._walkBasis.makeBasis(side, up, back);
+      this._walkBody.setFromRotationMatrix(this._walkBasis);
+
+      // Altitude may skip fine detail when far above the ground, so take a
+      // full sample before snapping to it.
+      ground.sampler.SamplePosition(this._camera.position, ground.sample);
+      this._camera.position
+        .copy(ground.sample.position)
+        .addScaledVector(up, this._params.guiParams.camera.eyeHeight);
+      this._grounded = true;
+      this._ApplyWalkOrientation();
+    }
+
+    _AlignWalkBody(up) {
+      const bodyUp = this._upVector
+        .set(0, 1, 0)
+        .applyQuaternion(this._walkBody);
+      this._walkAlign.setFromUnitVectors(bodyUp.normalize(), up);
+      this._walkBody.premultiply(this._walkAlign).normalize();
+    }
+
+    _ApplyWalkOrientation() {
+      this._pitchQuaternion.setFromAxisAngle(
+        this._pitchAxis.set(1, 0, 0),
+        this._walkPitch
+      );
+      this._camera.quaternion
+        .copy(this._walkBody)
+        .multiply(this._pitchQuaternion);
+      this._camera.updateMatrixWorld(true);
+    }
+
+    _UpdateWalking(timeInSeconds) {
+      const settings = this._params.guiParams.camera;
+      const camera = this._camera;
+      const eyeHeight = settings.eyeHeight;
+
+      // Gravity always points down the local surface normal: toward the
+      // planet centre, or radially outward from the ring axis. The ring's
+      // comes from its spin and scales with distance from the axis.
+      const ground = this._SampleGround(camera.position);
+      const physics = ground ? ground.physics : null;
+      const up = this._walkUp;
+      if (ground) {
+        up.copy(ground.sample.up);
+      }
+      this._AlignWalkBody(up);
+
+      let gravity = settings.gravity;
+      if (physics) {
+        gravity = -physics
+          .GetGravity(camera.position, this._walkGravity)
+          .dot(up);
+      }
+
+      // Keyboard mapping is inverted (see _onKeyDown): backward walks forward.
+      let inputForward = 0;
+      let inputSide = 0;
+      if (this._move.backward) {
+        inputForward += 1;
+      }
+      if (this._move.forward) {
+        inputForward -= 1;
+      }
+      if (this._move.right) {
+        inputSide += 1;
+      }
+      if (this._move.left) {
+        inputSide -= 1;
+      }
+
+      const forward = this._forwardVector
+        .set(0, 0, -1)
+        .applyQuaternion(this._walkBody);
+      const sideways = this._sideVector
+        .set(1, 0, 0)
+        .applyQuaternion(this._walkBody);
+      const wish = this._walkWish
+        .set(0, 0, 0)
+        .addScaledVector(forward, inputForward)
+        .addScaledVector(sideways, inputSide);
+      if (wish.lengthSq() > 1.0) {
+        wish.normalize();
+      }
+      wish.multiplyScalar(settings.walkSpeed);
+
+      // Full control on the ground, keep momentum in the air
+      if (this._grounded) {
+        this._walkVelocity.copy(wish);
+        if (this._move.jump) {
+          this._verticalSpeed = settings.jumpSpeed;
+          this._grounded = false;
+        }
+      }
+      this._verticalSpeed -= gravity * timeInSeconds;
+
+      // In the air the ring turns underneath us, which shows up as Coriolis
+      // drift in the co-rotating frame.
+      if (physics && !this._grounded) {
+        const velocity = this._walkDelta
+          .copy(this._walkVelocity)
+          .addScaledVector(up, this._verticalSpeed);
+        physics.ApplyCoriolis(velocity, timeInSeconds);
+        this._verticalSpeed = velocity.dot(up);
+        this._walkVelocity
+          .copy(velocity)
+          .addScaledVector(up, -this._verticalSpeed);
+      }
+
+      // Horizontal move, refused when it would climb a slope that is too steep
+      const maxSlope = Math.tan(THREE.MathUtils.degToRad(settings.maxSlope));
+      const run = this._walkVelocity.length() * timeInSeconds;
+      this._walkStart.copy(camera.position);
+      camera.position.addScaledVector(this._walkVelocity, timeInSeconds);
+      if (this._grounded && ground && run > 0.0) {
+        const next = this._SampleGround(camera.position);
+        if (next) {
+          const rise = this._walkDelta
+            .copy(next.sample.position)
+            .sub(ground.sample.position)
+            .dot(up);
+          if (rise > 0.0 && rise / run > maxSlope) {
+            camera.position.copy(this._walkStart);
+            this._walkVelocity.set(0, 0, 0);
+          }
+        }
+      }
+
+      camera.position.addScaledVector(up, this._verticalSpeed * timeInSeconds);
+
+      // The ring floor is bounded by the halo shell's side walls
+      if (physics) {
+        const wall = physics.ConstrainToWalls(
+          camera.position,
+          this._radius,
+          this._wallNormal
+        );
+        if (wall) {
+          const into = this._walkVelocity.dot(wall);
+          if (into < 0.0) {
+            this._walkVelocity.addScaledVector(wall, -into);
+          }
+        }
+      }
+
+      // Clamp to the surface; stay glued to it going downhill too, unless
+      // the drop is steeper than the slope limit or we are mid-jump.
+      const after = this._SampleGround(camera.position);
+      const snapDistance = this._grounded
+        ? Math.max(0.25, run * maxSlope)
+        : 0.0;
+      if (
+        after &&
+        this._verticalSpeed <= 0.0 &&
+        after.altitude <= eyeHeight + snapDistance
+      ) {
+        camera.position.addScaledVector(
+          after.sample.up,
+          eyeHeight - after.altitude
+        );
+        this._verticalSpeed = 0.0;
+        this._grounded = true;
+      } else {
+        if (after && after.altitude < eyeHeight) {
+          camera.position.addScaledVector(
+            after.sample.up,
+            eyeHeight - after.altitude
+          );
+        }
+        this._grounded = false;
+      }
+
+      this._ApplyWalkOrientation();
+    }
+
+    // Keeps the flying camera from passing through the ground. Only applies
+    // when the camera started the frame above the surface, so flying in from
+    // behind a ring floor is left alone.
+    _ResolveFlyingCollision(previousPosition) {
+      const before = this._SampleGround(previousPosition);
+      if (!before || before.altitude < 0.0) {
+        return;
+      }
+
+      const after = this._SampleGround(this._camera.position);
+      if (after && after.altitude < this._radius) {
+        this._camera.position.addScaledVector(
+          after.sample.up,
+          this._radius - after.altitude
+        );
+        this._velocity.set(0, 0, 0);
+      }
     }
 
     Update(timeInSeconds) {
@@ -924,6 +1252,13 @@ void main() {
 
       this._UpdateGamepadInput(timeInSeconds);
 
+      if (this._walking) {
+        this._UpdateWalking(timeInSeconds);
+        return;
+      }
+
+      this._walkStart.copy(this._camera.position);
+
       const frameDecceleration = new THREE.Vector3(
         this._velocity.x * this._decceleration.x,
         this._velocity.y * this._decceleration.y,
@@ -1001,6 +1336,8 @@ void main() {
         this._velocity.y * timeInSeconds
       );
 
+      this._ResolveFlyingCollision(this._walkStart);
+
       this._camera.updateMatrixWorld(true);
     }
   }
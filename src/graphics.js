@@ -220,6 +220,15 @@ export const graphics = (function () {
       return this._scene;
     }
 
+    get Renderer() {
+      return this._threejs;
+    }
+
+    // Height in pixels of the scaled render target
+    get RenderHeight() {
+      return this._target.height;
+    }
+
     get Camera() {
       return this._camera;
     }
@@ -1,5 +1,7 @@
 import * as THREE from "https://cdn.jsdelivr.net/npm/three@0.181.0/build/three.module.js";
 
+import { ring_geometry } from "./ring-geometry.js";
+
 // Factory for a simple ring (halo) shell geometry.
 // Creates a segmented tubular wall with an inner gap (like a habitation shell).
 // Parameters (scaled to scene units – this repo uses very large planetary scales):
@@ -7,22 +9,26 @@ import * as THREE from "https://cdn.jsdelivr.net/npm/three@0.181.0/build/three.m
 //  - radius: outer radius of the shell (center to outer wall)
 //  - deckHeight: vertical height of the deck (thickness of base slab)
 //  - wallInnerDrop: how far inward from outer radius the inner wall is (controls deck width)
+//  - floorDrop: how far inward from outer radius the floor is (hull thickness, for end caps)
 //  - wallHeight: vertical height of the wall rising from deck top
 //  - wallThickness: radial thickness of the wall (extrusion upward forming a lip)
 //  - color: base color (used if no texture provided)
 //  - texture: optional THREE.Texture to apply to the shell
 //  - normalMap: optional THREE.Texture for normal mapping
+//  - arcs: optional [start, end] angle pairs (radians) for a partial ring, with end caps
 // Returns THREE.Mesh.
 export function createProceduralHaloShell({
   circleSegmentCount = 128,
   radius = 400000.0,
   deckHeight = 4000.0,
   wallInnerDrop = 8000.0,
+  floorDrop = wallInnerDrop * 0.5,
   wallHeight = 6000.0,
   wallThickness = 3000.0,
   color = 0x66ccff,
   texture = null,
   normalMap = null,
+  arcs = null,
 } = {}) {
   // Guard against invalid params
   circleSegmentCount = Math.max(3, circleSegmentCount);
@@ -39,126 +45,173 @@ export function createProceduralHaloShell({
   const extIndices = [];
   const extNormals = [];
 
-  const segmentAngle = (Math.PI * 2) / circleSegmentCount;
+  // A whole ring unless given arcs, [start, end] in radians from +X towards +Z
+  const spans = arcs || [[0.0, Math.PI * 2]];
+  const floorRadius = Math.max(innerRadius, radius - floorDrop);
+  const circumference = 2 * Math.PI * radius;
 
-  // Generate vertices and indices for both top and bottom halves (mirrored)
-  // Top half: positive Y values
-  // Bottom half: negative Y values (mirrored)
+  for (const [start, end] of spans) {
+    const arcSegmentCount = Math.max(
+      1,
+      Math.round((circleSegmentCount * (end - start)) / (Math.PI * 2))
+    );
+    const segmentAngle = (end - start) / arcSegmentCount;
+
+    // Generate vertices and indices for both top and bottom halves (mirrored)
+    // Top half: positive Y values
+    // Bottom half: negative Y values (mirrored)
+
+    for (let mirror = 0; mirror < 2; mirror++) {
+      const ySign = mirror === 0 ? 1 : -1; // Top half: +1, Bottom half: -1
+      const baseVertexOffset = positions.length / 3;
+
+      // Each segment has 4 vertices matching Unity's structure:
+      // 0: Outer bottom (radiusInMeters, 0)
+      // 1: Outer top (radiusInMeters, widthInMeters)
+      // 2: Inner bottom (innerRadius, widthInMeters)
+      // 3: Inner wall top (innerRadius, widthInMeters + wallWidth)
+      for (let i = 0; i <= arcSegmentCount; i++) {
+        const angle = start + i * segmentAngle;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+
+        // Vertex 0: Outer ring mid (y=0) used for deck underside
+        positions.push(cos * radius, 0, sin * radius);
+
+        // Vertex 1: Outer ring top (deck surface outer edge)
+        positions.push(cos * radius, deckHeight * ySign, sin * radius);
+
+        // Vertex 2: Inner ring bottom (deck surface inner edge)
+        positions.push(
+          cos * innerRadius,
+          deckHeight * ySign,
+          sin * innerRadius
+        );
+
+        // Vertex 3: Inner wall top (standing wall lip)
+        positions.push(
+          cos * innerRadius,
+          (deckHeight + wallHeight) * ySign,
+          sin * innerRadius
+        );
+
+        // UV mapping
+        const segmentRatio = angle / (Math.PI * 2);
+        const uvScaleX = circumference / deckHeight;
+
+        uvs.push(segmentRatio * uvScaleX, 0); // outer bottom (at y=0)
+        uvs.push(segmentRatio * uvScaleX, 1.0); // outer top (deck surface expects v=1)
+        uvs.push(segmentRatio * uvScaleX, 0); // inner bottom
+        uvs.push(segmentRatio * uvScaleX, wallHeight / deckHeight); // inner wall top
+
+        if (i < arcSegmentCount) {
+          const a = baseVertexOffset + i * 4;
+
+          if (mirror === 0) {
+            // TOP HALF - Normal winding order
+            // (Removed top-half outer side triangles; will add shared full-height wall later)
+
+            // WALL TRIANGLES (18 indices total)
+            // Top surface connecting wall to exterior ring
+            indices.push(a + 3, a + 5, a + 1);
+            indices.push(a + 3, a + 7, a + 5);
+
+            // Inner vertical wall
+            indices.push(a + 2, a + 6, a + 3);
+            indices.push(a + 6, a + 7, a + 3);
+
+            // Deck surface
+            indices.push(a + 2, a + 1, a + 6);
+            indices.push(a + 5, a + 6, a + 1);
+          } else {
+            // BOTTOM HALF - Reversed winding order for mirrored geometry
+            // (No outer side triangles here; shared full-height wall will be added after both halves are built)
+
+            // WALL TRIANGLES (18 indices total)
+            // Top surface connecting wall to exterior ring
+            indices.push(a + 3, a + 1, a + 5);
+            indices.push(a + 3, a + 5, a + 7);
+
+            // Inner vertical wall
+            indices.push(a + 2, a + 3, a + 6);
+            indices.push(a + 6, a + 3, a + 7);
+
+            // Deck surface (bottom half)
+            indices.push(a + 2, a + 6, a + 1);
+            indices.push(a + 5, a + 1, a + 6);
+          }
+        }
+      }
+    }
 
-  for (let mirror = 0; mirror < 2; mirror++) {
-    const ySign = mirror === 0 ? 1 : -1; // Top half: +1, Bottom half: -1
-    const baseVertexOffset = mirror * (circleSegmentCount + 1) * 4;
+    // Build dedicated exterior wall strip with consistent UVs (only once)
+    // For each segment vertex, create two wall vertices: bottom(-deckHeight)->v=0 and top(+deckHeight)->v=1
+    const wallHeight_ext = deckHeight * 2; // Total height from -deckHeight to +deckHeight
+    const extBase = extPositions.length / 3;
 
-    // Each segment has 4 vertices matching Unity's structure:
-    // 0: Outer bottom (radiusInMeters, 0)
-    // 1: Outer top (radiusInMeters, widthInMeters)
-    // 2: Inner bottom (innerRadius, widthInMeters)
-    // 3: Inner wall top (innerRadius, widthInMeters + wallWidth)
-    for (let i = 0; i <= circleSegmentCount; i++) {
-      const angle = i * segmentAngle;
+    for (let i = 0; i <= arcSegmentCount; i++) {
+      const angle = start + i * segmentAngle;
       const cos = Math.cos(angle);
       const sin = Math.sin(angle);
 
-      // Vertex 0: Outer ring mid (y=0) used for deck underside
-      positions.push(cos * radius, 0, sin * radius);
-
-      // Vertex 1: Outer ring top (deck surface outer edge)
-      positions.push(cos * radius, deckHeight * ySign, sin * radius);
-
-      // Vertex 2: Inner ring bottom (deck surface inner edge)
-      positions.push(cos * innerRadius, deckHeight * ySign, sin * innerRadius);
-
-      // Vertex 3: Inner wall top (standing wall lip)
-      positions.push(
-        cos * innerRadius,
-        (deckHeight + wallHeight) * ySign,
-        sin * innerRadius
-      );
-
-      // UV mapping
-      const segmentRatio = i / circleSegmentCount;
-      const circumference = 2 * Math.PI * radius;
-      const uvScaleX = circumference / deckHeight;
-
-      uvs.push(segmentRatio * uvScaleX, 0); // outer bottom (at y=0)
-      uvs.push(segmentRatio * uvScaleX, 1.0); // outer top (deck surface expects v=1)
-      uvs.push(segmentRatio * uvScaleX, 0); // inner bottom
-      uvs.push(segmentRatio * uvScaleX, wallHeight / deckHeight); // inner wall top
-
-      if (i < circleSegmentCount) {
-        const a = baseVertexOffset + i * 4;
-
-        if (mirror === 0) {
-          // TOP HALF - Normal winding order
-          // (Removed top-half outer side triangles; will add shared full-height wall later)
-
-          // WALL TRIANGLES (18 indices total)
-          // Top surface connecting wall to exterior ring
-          indices.push(a + 3, a + 5, a + 1);
-          indices.push(a + 3, a + 7, a + 5);
-
-          // Inner vertical wall
-          indices.push(a + 2, a + 6, a + 3);
-          indices.push(a + 6, a + 7, a + 3);
-
-          // Deck surface
-          indices.push(a + 2, a + 1, a + 6);
-          indices.push(a + 5, a + 6, a + 1);
-        } else {
-          // BOTTOM HALF - Reversed winding order for mirrored geometry
-          // (No outer side triangles here; shared full-height wall will be added after both halves are built)
-
-          // WALL TRIANGLES (18 indices total)
-          // Top surface connecting wall to exterior ring
-          indices.push(a + 3, a + 1, a + 5);
-          indices.push(a + 3, a + 5, a + 7);
-
-          // Inner vertical wall
-          indices.push(a + 2, a + 3, a + 6);
-          indices.push(a + 6, a + 3, a + 7);
-
-          // Deck surface (bottom half)
-          indices.push(a + 2, a + 6, a + 1);
-          indices.push(a + 5, a + 1, a + 6);
-        }
-      }
+      // Calculate arc length to this point around the ring
+      const arcLength = (angle / (Math.PI * 2)) * circumference;
+
+      // Outward-facing normal for exterior wall (radial direction, no Y component)
+      const normalX = cos;
+      const normalY = 0;
+      const normalZ = sin;
+
+      // Bottom of exterior wall
+      extPositions.push(cos * radius, -deckHeight, sin * radius);
+      extNormals.push(normalX, normalY, normalZ);
+      // 2:1 aspect ratio - texture is twice as wide as tall, so divide by 2x wall height
+      extUVs.push(arcLength / (wallHeight_ext * 2), 0.0);
+      // Top of exterior wall
+      extPositions.push(cos * radius, +deckHeight, sin * radius);
+      extNormals.push(normalX, normalY, normalZ);
+      extUVs.push(arcLength / (wallHeight_ext * 2), 1.0);
+    }
+    for (let i = 0; i < arcSegmentCount; i++) {
+      const a = extBase + i * 2; // two verts per ring column in ext arrays
+      // [bottom cur, top cur, bottom next]
+      extIndices.push(a, a + 1, a + 2);
+      // [bottom next, top cur, top next]
+      extIndices.push(a + 2, a + 1, a + 3);
     }
-  }
 
-  // Build dedicated exterior wall strip with consistent UVs (only once)
-  // For each segment vertex, create two wall vertices: bottom(-deckHeight)->v=0 and top(+deckHeight)->v=1
-  const wallHeight_ext = deckHeight * 2; // Total height from -deckHeight to +deckHeight
-  const circumference = 2 * Math.PI * radius;
+    // End caps close the hull and both walls where a partial ring stops
+    if (arcs) {
+      for (const angle of [start, end]) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const a = positions.length / 3;
+
+        // Hull corners, then the foot and top of each wall
+        const outline = [
+          [floorRadius, -deckHeight],
+          [radius, -deckHeight],
+          [radius, deckHeight],
+          [floorRadius, deckHeight],
+          [innerRadius, deckHeight],
+          [innerRadius, deckHeight + wallHeight],
+          [innerRadius, -deckHeight],
+          [innerRadius, -deckHeight - wallHeight],
+        ];
+        for (const [r, y] of outline) {
+          positions.push(cos * r, y, sin * r);
+          uvs.push((radius - r) / deckHeight, y / deckHeight);
+        }
 
-  for (let i = 0; i <= circleSegmentCount; i++) {
-    const angle = i * segmentAngle;
-    const cos = Math.cos(angle);
-    const sin = Math.sin(angle);
-
-    // Calculate arc length to this point around the ring
-    const arcLength = (i / circleSegmentCount) * circumference;
-
-    // Outward-facing normal for exterior wall (radial direction, no Y component)
-    const normalX = cos;
-    const normalY = 0;
-    const normalZ = sin;
-
-    // Bottom of exterior wall
-    extPositions.push(cos * radius, -deckHeight, sin * radius);
-    extNormals.push(normalX, normalY, normalZ);
-    // 2:1 aspect ratio - texture is twice as wide as tall, so divide by 2x wall height
-    extUVs.push(arcLength / (wallHeight_ext * 2), 0.0);
-    // Top of exterior wall
-    extPositions.push(cos * radius, +deckHeight, sin * radius);
-    extNormals.push(normalX, normalY, normalZ);
-    extUVs.push(arcLength / (wallHeight_ext * 2), 1.0);
-  }
-  for (let i = 0; i < circleSegmentCount; i++) {
-    const a = i * 2; // two verts per ring column in ext arrays
-    // [bottom cur, top cur, bottom next]
-    extIndices.push(a, a + 1, a + 2);
-    // [bottom next, top cur, top next]
-    extIndices.push(a + 2, a + 1, a + 3);
+        // Hull
+        indices.push(a, a + 1, a + 2);
+        indices.push(a, a + 2, a + 3);
+
+        // Top and bottom walls
+        indices.push(a + 2, a + 4, a + 5);
+        indices.push(a + 1, a + 7, a + 6);
+      }
+    }
   }
 
   // Merge exterior wall into main geometry
@@ -259,17 +312,22 @@ export function addHaloShellToScene(
 
 // Convenience wrapper specifically for creating the textured exterior halo shell.
 // This centralizes the texture loading & parameter defaults so callers only provide
-// the essentials (radius overrides). Returns the created shell (may receive
+// the essentials: a ring definition (see terrain_constants.RING), whose
+// dimensions, segments and tilt replace radius, deckHeight, wallInnerDrop,
+// floorDrop, wallHeight and arcs, or those overrides. Returns the created shell (may receive
 // texture updates asynchronously once the image finishes loading).
 export function addHaloExteriorShell(
   scene,
   center = new THREE.Vector3(),
   {
+    ring = null,
     circleSegmentCount = 256,
     radius = 400000.0,
     deckHeight = 27000.0,
     wallInnerDrop = 8000.0,
+    floorDrop = 4000.0,
     wallHeight = 5000.0,
+    arcs = null,
     color = 0xffffff,
     texturePath = "./resources/HaloExteriorTexture.png",
     normalMapPath = "./resources/Normal_HaloExteriorTexture.png",
@@ -277,17 +335,27 @@ export function addHaloExteriorShell(
 ) {
   const textureLoader = new THREE.TextureLoader();
 
+  if (ring) {
+    ({ radius, deckHeight, wallInnerDrop, floorDrop, wallHeight, arcs } =
+      ring_geometry.Shell(ring));
+  }
+
   // Create shell immediately; textures will populate as they load
   const shell = addHaloShellToScene(scene, center, {
     circleSegmentCount,
     radius,
     deckHeight,
     wallInnerDrop,
+    floorDrop,
     wallHeight,
+    arcs,
     color,
     texture: null,
     normalMap: null,
   });
+  if (shell && ring) {
+    ring_geometry.Tilt(ring, shell.quaternion);
+  }
 
   textureLoader.load(
     texturePath,
@@ -0,0 +1,241 @@
+import { math } from "./math.js";
+import { utils } from "./utils.js";
+
+export const land_map = (function () {
+  // An authored map of a ring's continents and seas, laid out
+  // equirectangularly over its floor: u runs once around the ring from
+  // angle 0, the same angles as RING.segments, and v across the floor from
+  // its -y edge to its +y edge, in the ring's frame. Every texel holds
+  //  - land: 0 for sea, 1 for land, pulling the noise's continents towards it
+  //  - moisture and temperature: offsets in [-1, 1] the climate model adds,
+  //    so biomes follow the map too
+  //
+  // A map is either an image or a JSON file. In an image, red is land, and
+  // green and blue are the moisture and temperature offsets, with mid grey
+  // (128) leaving the climate alone. The JSON is a list of polygons drawn
+  // onto a grid:
+  //  - resolution: [columns, rows], best with texels about square on the
+  //    ring. Defaults to [4096, 64].
+  //  - land: land value where no region lies, 0 by default
+  //  - feather: texels over which a region's edge blends into what's under
+  //    it, which gives the noise room for a coastline
+  //  - regions: drawn in order, later ones over earlier ones. Each has
+  //    points, an outline of [u, v] pairs (u may run past 0 or 1 to cross
+  //    angle 0), and any of land, moisture and temperature to paint.
+  const _CHANNELS = 3;
+  const _LAND = 0;
+  const _MOISTURE = 1;
+  const _TEMPERATURE = 2;
+
+  const _FIELDS = [
+    ["land", _LAND],
+    ["moisture", _MOISTURE],
+    ["temperature", _TEMPERATURE],
+  ];
+
+  const _DEFAULT_RESOLUTION = [4096, 64];
+  const _DEFAULT_FEATHER = 2.0;
+
+  const _loaded = new Map();
+
+  // Distance from (x, y) to the outline, positive inside it
+  function _SignedDistance(points, x, y) {
+    let inside = false;
+    let distanceSq = Infinity;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+      const [xi, yi] = points[i];
+      const [xj, yj] = points[j];
+      if (yi > y != yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+
+      const dx = xj - xi;
+      const dy = yj - yi;
+      const t = math.sat(
+        ((x - xi) * dx + (y - yi) * dy) / Math.max(dx * dx + dy * dy, 1e-12)
+      );
+      const ex = xi + dx * t - x;
+      const ey = yi + dy * t - y;
+      distanceSq = Math.min(distanceSq, ex * ex + ey * ey);
+    }
+    const distance = Math.sqrt(distanceSq);
+    return inside ? distance : -distance;
+  }
+
+  class LandMap {
+    // texels: columns * rows * 3 values, row by row, land first. version
+    // identifies the source's contents, see Version.
+    constructor(columns, rows, texels, version) {
+      this._columns = columns;
+      this._rows = rows;
+      this._texels = texels;
+      this._version = version || null;
+    }
+
+    // Hash of the file the map came from, so cached chunks built from an
+    // older copy aren't handed back
+    get Version() {
+      return this._version;
+    }
+
+    static FromImage(imageData, version) {
+      const { width, height, data } = imageData;
+      const texels = new Float32Array(width * height * _CHANNELS);
+      for (let i = 0; i < width * height; i++) {
+        texels[i * _CHANNELS + _LAND] = data[i * 4] / 255.0;
+        texels[i * _CHANNELS + _MOISTURE] = (data[i * 4 + 1] / 255.0) * 2 - 1;
+        texels[i * _CHANNELS + _TEMPERATURE] =
+          (data[i * 4 + 2] / 255.0) * 2 - 1;
+      }
+      return new LandMap(width, height, texels, version);
+    }
+
+    static FromPolygons(definitions, version) {
+      const [columns, rows] = definitions.resolution || _DEFAULT_RESOLUTION;
+      const feather =
+        definitions.feather !== undefined
+          ? definitions.feather
+          : _DEFAULT_FEATHER;
+      const half = Math.max(feather * 0.5, 1e-5);
+
+      const texels = new Float32Array(columns * rows * _CHANNELS);
+      const land = definitions.land || 0.0;
+      for (let i = 0; i < columns * rows; i++) {
+        texels[i * _CHANNELS + _LAND] = land;
+      }
+
+      for (const region of definitions.regions || []) {
+        const points = region.points.map(([u, v]) => [u * columns, v * rows]);
+        const fields = _FIELDS.filter(([name]) => region[name] !== undefined);
+        if (points.length < 3 || fields.length == 0) {
+          continue;
+        }
+
+        let minX = Infinity;
+        let maxX = -Infinity;
+        let minY = Infinity;
+        let maxY = -Infinity;
+        for (const [x, y] of points) {
+          minX = Math.min(minX, x - half);
+          maxX = Math.max(maxX, x + half);
+          minY = Math.min(minY, y - half);
+          maxY = Math.max(maxY, y + half);
+        }
+
+        const y0 = Math.max(0, Math.floor(minY));
+        const y1 = Math.min(rows - 1, Math.ceil(maxY));
+        for (let row = y0; row <= y1; row++) {
+          const y = row + 0.5;
+          for (let column = 0; column < columns; column++) {
+            // The outline may wrap past either end of the map
+            let w = 0.0;
+            for (const shift of [-columns, 0, columns]) {
+              const x = column + 0.5 + shift;
+              if (x < minX || x > maxX) {
+                continue;
+              }
+              const d = _SignedDistance(points, x, y);
+              const t = math.sat((d + half) / (half * 2.0));
+              w = Math.max(w, t * t * (3.0 - 2.0 * t));
+            }
+            if (w <= 0.0) {
+              continue;
+            }
+
+            const texel = (row * columns + column) * _CHANNELS;
+            for (const [name, channel] of fields) {
+              texels[texel + channel] = math.lerp(
+                w,
+                texels[texel + channel],
+                region[name]
+              );
+            }
+          }
+        }
+      }
+      return new LandMap(columns, rows, texels, version);
+    }
+
+    // Bilinear sample at (u, v), wrapping around the ring and clamped
+    // across it, written into target's land, moistureOffset and
+    // temperatureOffset
+    Sample(u, v, target) {
+      const columns = this._columns;
+      const rows = this._rows;
+      const x = (u - Math.floor(u)) * columns - 0.5;
+      const y = Math.min(Math.max(v * rows - 0.5, 0.0), rows - 1);
+
+      const xf = Math.floor(x);
+      const yf = Math.floor(y);
+      const tx = x - xf;
+      const ty = y - yf;
+      const x0 = (xf + columns) % columns;
+      const x1 = (x0 + 1) % columns;
+      const y1 = Math.min(yf + 1, rows - 1);
+
+      const texels = this._texels;
+      const _Texel = (channel) => {
+        const a = texels[(yf * columns + x0) * _CHANNELS + channel];
+        const b = texels[(yf * columns + x1) * _CHANNELS + channel];
+        const c = texels[(y1 * columns + x0) * _CHANNELS + channel];
+        const d = texels[(y1 * columns + x1) * _CHANNELS + channel];
+        return math.lerp(ty, math.lerp(tx, a, b), math.lerp(tx, c, d));
+      };
+
+      target.land = _Texel(_LAND);
+      target.moistureOffset = _Texel(_MOISTURE);
+      target.temperatureOffset = _Texel(_TEMPERATURE);
+      return target;
+    }
+  }
+
+  async function _LoadImage(bytes, version) {
+    const bitmap = await createImageBitmap(new Blob([bytes]));
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    const context = canvas.getContext("2d");
+    context.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    return LandMap.FromImage(
+      context.getImageData(0, 0, canvas.width, canvas.height),
+      version
+    );
+  }
+
+  // Fetches and builds a map once per URL, a .json file as polygons and
+  // anything else as an image. A failed load is tried again next call. Works
+  // on the main thread and in the chunk workers, so pass absolute URLs to
+  // workers.
+  function Load(url) {
+    if (!_loaded.has(url)) {
+      _loaded.set(
+        url,
+        fetch(url)
+          .then((response) => {
+            if (!response.ok) {
+              throw new Error(`Failed to load land map from ${url}`);
+            }
+            return response.arrayBuffer();
+          })
+          .then((buffer) => {
+            const bytes = new Uint8Array(buffer);
+            const version = utils.HashBytes(bytes);
+            if (new URL(url).pathname.endsWith(".json")) {
+              const text = new TextDecoder().decode(bytes);
+              return LandMap.FromPolygons(JSON.parse(text), version);
+            }
+            return _LoadImage(bytes, version);
+          })
+          .catch((err) => {
+            _loaded.delete(url);
+            throw err;
+          })
+      );
+    }
+    return _loaded.get(url);
+  }
+
+  return {
+    LandMap: LandMap,
+    Load: Load,
+  };
+})();
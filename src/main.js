@@ -92,11 +92,8 @@ class ProceduralTerrain_Demo extends game.Game {
       const ringCenter = new THREE.Vector3(terrain_constants.RING_OFFSET, 0, 0);
       this._haloShell = addHaloExteriorShell(this.graphics_.Scene, ringCenter, {
         camera: this.graphics_.Camera,
-        radius: terrain_constants.RING_MAJOR_RADIUS * 1.01,
+        ring: terrain_constants.RING,
         circleSegmentCount: 256,
-        deckHeight: 27000.0,
-        wallInnerDrop: 8000.0,
-        wallHeight: 5000.0,
         color: 0xffffff,
       });
       this.graphics_.SetShadowFocus(ringCenter);
@@ -119,6 +116,10 @@ class ProceduralTerrain_Demo extends game.Game {
       domElement: this.graphics_._threejs.domElement,
       gui: this._gui,
       guiParams: this._guiParams,
+      terrainManagers: [this._terrainManager, this._ringworldManager].filter(
+        (m) => m
+      ),
+      onPick: (hit) => this._OnTerrainPicked(hit),
     });
 
     this._AddEntity("_controls", this._controls, 0.0);
@@ -428,6 +429,25 @@ class ProceduralTerrain_Demo extends game.Game {
     }
   }
 
+  _OnTerrainPicked(hit) {
+    const pickDisplay = document.getElementById("pick-display");
+    if (!pickDisplay) {
+      return;
+    }
+
+    if (!hit) {
+      pickDisplay.textContent = "Pick: no terrain";
+      return;
+    }
+
+    const p = hit.position;
+    pickDisplay.textContent =
+      `Pick: ${p.x.toFixed(1)}, ${p.y.toFixed(1)}, ${p.z.toFixed(1)}` +
+      ` | height ${hit.height.toFixed(1)}m` +
+      ` | biome ${hit.biome || "?"}` +
+      ` | ${Math.round(hit.distance)}m away`;
+  }
+
   _UpdateAccelerationDisplay() {
     const accelerationDisplay = document.getElementById("acceleration-display");
     if (accelerationDisplay && this._guiParams && this._guiParams.camera) {
@@ -1,12 +1,33 @@
 //import 'https://cdn.jsdelivr.net/npm/simplex-noise@2.4.0/simplex-noise.js';
 //import perlin from 'https://cdn.jsdelivr.net/gh/mikechambers/es6-perlin-module/perlin.js';
-import perlin from './perlin-noise.js';
+import {noise3} from './perlin-noise.js';
 import {simplex} from './simplex-noise.js';
 
 import {math} from './math.js';
 
 export const noise = (function() {
 
+  // Every type returns values in [0, 1] per octave, so exponentiation and
+  // height behave the same whichever one a layer picks.
+  const _NOISE_TYPES = [
+    'simplex', 'perlin', 'ridged', 'billow', 'warped', 'worley'];
+
+  // Perlin's permutation table has no seed, so shift the lattice instead
+  function _SeedOffset(seed, axis) {
+    let h = Math.imul((seed | 0) ^ 0x9e3779b9, 0x85ebca6b) + axis * 0x27d4eb2d;
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    h ^= h >>> 16;
+    return ((h >>> 0) % 4096) + 0.5;
+  }
+
+  function _Hash3(x, y, z, seed) {
+    let h = Math.imul(x, 0x8da6b343) ^ Math.imul(y, 0xd8163841) ^
+        Math.imul(z, 0xcb1ab31f) ^ Math.imul(seed | 0, 0x165667b1);
+    h = Math.imul(h ^ (h >>> 15), 0x2c1b3c6d);
+    h = Math.imul(h ^ (h >>> 12), 0x297a2d39);
+    return (h ^ (h >>> 15)) >>> 0;
+  }
+
   class _NoiseGenerator {
     constructor(params) {
       this._params = params;
@@ -15,35 +36,135 @@ export const noise = (function() {
 
     _Init() {
       this._noise = new simplex.SimplexNoise(this._params.seed);
+      this._perlinOffset = [0, 1, 2].map(
+          a => _SeedOffset(this._params.seed || 0, a));
+
+      this._bases = {
+        simplex: (x, y, z) => this._Simplex(x, y, z),
+        perlin: (x, y, z) => this._Perlin(x, y, z),
+        billow: (x, y, z) => Math.abs(this._noise.noise3D(x, y, z)),
+        worley: (x, y, z) => this._Worley(x, y, z),
+      };
     }
 
-    Get(x, y, z) {
+    _Simplex(x, y, z) {
+      return this._noise.noise3D(x, y, z) * 0.5 + 0.5;
+    }
+
+    _Perlin(x, y, z) {
+      const o = this._perlinOffset;
+      return noise3(x + o[0], y + o[1], z + o[2]);
+    }
+
+    // Cellular noise: distance to the nearest feature point, one per cell
+    _Worley(x, y, z) {
+      const xi = Math.floor(x);
+      const yi = Math.floor(y);
+      const zi = Math.floor(z);
+      const seed = this._params.seed || 0;
+
+      let nearest = 8.0;
+      for (let i = -1; i <= 1; i++) {
+        for (let j = -1; j <= 1; j++) {
+          for (let k = -1; k <= 1; k++) {
+            const h = _Hash3(xi + i, yi + j, zi + k, seed);
+            const dx = xi + i + (h & 0x3ff) / 1024.0 - x;
+            const dy = yi + j + ((h >>> 10) & 0x3ff) / 1024.0 - y;
+            const dz = zi + k + ((h >>> 20) & 0x3ff) / 1024.0 - z;
+            nearest = Math.min(nearest, dx * dx + dy * dy + dz * dz);
+          }
+        }
+      }
+      return math.sat(Math.sqrt(nearest));
+    }
+
+    _FBM(x, y, z, basis) {
       const G = 2.0 ** (-this._params.persistence);
-      const xs = x / this._params.scale;
-      const ys = y / this._params.scale;
-      const zs = z / this._params.scale;
-      const noiseFunc = this._noise;
 
       let amplitude = 1.0;
       let frequency = 1.0;
       let normalization = 0;
       let total = 0;
       for (let o = 0; o < this._params.octaves; o++) {
-        const noiseValue = noiseFunc.noise3D(
-          xs * frequency, ys * frequency, zs * frequency) * 0.5 + 0.5;
+        const noiseValue = basis(x * frequency, y * frequency, z * frequency);
 
         total += noiseValue * amplitude;
         normalization += amplitude;
         amplitude *= G;
         frequency *= this._params.lacunarity;
       }
-      total /= normalization;
-      return Math.pow(
-          total, this._params.exponentiation) * this._params.height;
+      return total / normalization;
+    }
+
+    // Musgrave's ridged multifractal: sharp creases where the noise crosses
+    // zero, with each octave weighted by the one before so detail gathers
+    // along the ridges.
+    _Ridged(x, y, z) {
+      const G = 2.0 ** (-this._params.persistence);
+
+      let amplitude = 1.0;
+      let frequency = 1.0;
+      let normalization = 0;
+      let total = 0;
+      let weight = 1.0;
+      for (let o = 0; o < this._params.octaves; o++) {
+        let signal = 1.0 - Math.abs(this._noise.noise3D(
+            x * frequency, y * frequency, z * frequency));
+        signal *= signal * weight;
+        weight = math.sat(signal * 2.0);
+
+        total += signal * amplitude;
+        normalization += amplitude;
+        amplitude *= G;
+        frequency *= this._params.lacunarity;
+      }
+      return total / normalization;
+    }
+
+    // fBm looked up through an fBm displacement of its own input
+    _Warped(x, y, z) {
+      const warp = this._params.warpStrength !== undefined ?
+          this._params.warpStrength : 1.0;
+      const basis = this._bases.simplex;
+      const wx = this._FBM(x + 5.2, y + 1.3, z + 7.1, basis) - 0.5;
+      const wy = this._FBM(x + 1.7, y + 9.2, z + 3.4, basis) - 0.5;
+      const wz = this._FBM(x + 8.3, y + 2.8, z + 4.6, basis) - 0.5;
+      return this._FBM(
+          x + wx * warp * 4.0, y + wy * warp * 4.0, z + wz * warp * 4.0,
+          basis);
+    }
+
+    // Shaped noise in [0, 1], before scaling by height
+    GetNormalized(x, y, z) {
+      const xs = x / this._params.scale;
+      const ys = y / this._params.scale;
+      const zs = z / this._params.scale;
+
+      let total = 0;
+      switch (this._params.noiseType) {
+        case 'ridged':
+          total = this._Ridged(xs, ys, zs);
+          break;
+        case 'warped':
+          total = this._Warped(xs, ys, zs);
+          break;
+        default:
+          total = this._FBM(
+              xs, ys, zs,
+              this._bases[this._params.noiseType] || this._bases.simplex);
+          break;
+      }
+
+      return Math.pow(total, this._params.exponentiation);
+    }
+
+    Get(x, y, z) {
+      return this.GetNormalized(x, y, z) * this._params.height;
     }
   }
 
   return {
-    Noise: _NoiseGenerator
+    Noise: _NoiseGenerator,
+    NOISE_TYPES: _NOISE_TYPES,
   }
 })();
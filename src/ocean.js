@@ -1,11 +1,15 @@
 import * as THREE from "https://cdn.jsdelivr.net/npm/three@0.181.0/build/three.module.js";
 
 import { quadtree } from "./quadtree.js";
+import { ring_geometry } from "./ring-geometry.js";
 import { ocean_shader } from "./ocean-shader.js";
 import { terrain_constants } from "./terrain-constants.js";
+import { terrain_culling } from "./terrain-culling.js";
 import { utils } from "./utils.js";
 
 export const ocean = (function () {
+  const _BOUNDS = new THREE.Sphere();
+
   class OceanChunkManager {
     constructor(params) {
       this._Init(params);
@@ -34,6 +38,7 @@ export const ocean = (function () {
         : new THREE.Vector3(0, 0, 0);
       this._shape = params.shape || "planet";
       this._shapeParams = params.shapeParams || {};
+      this._tilt = ring_geometry.Tilt(this._shapeParams);
 
       // Load water normals texture
       const loader = new THREE.TextureLoader();
@@ -126,6 +131,12 @@ export const ocean = (function () {
         normalIntensity: 3.0,
       };
 
+      this._culler = new terrain_culling.ChunkCuller({
+        camera: params.camera,
+        cullingParams: params.guiParams.culling,
+      });
+      this._occluder = null;
+
       if (params.gui) {
         const oceanRollup = params.gui.addFolder("Ocean");
 
@@ -199,6 +210,13 @@ export const ocean = (function () {
           .onChange((value) => {
             this._material.uniforms.layer2Speed.value.y = value;
           });
+
+        // Culled chunk counts, toggled from Terrain.Culling
+        const cullingFolder = oceanRollup.addFolder("Culling");
+        const stats = this._culler.Stats;
+        for (let k in stats) {
+          cullingFolder.add(stats, k).listen().disable();
+        }
       }
 
       this._InitOcean(params);
@@ -207,33 +225,72 @@ export const ocean = (function () {
     }
 
     _InitOcean(params) {
-      this._groups = [...new Array(6)].map((_) => new THREE.Group());
+      this._quadtree = this._CreateQuadtree();
+      this._groups = [...new Array(this._quadtree.Sides)].map(
+        (_) => new THREE.Group()
+      );
       params.scene.add(...this._groups);
 
       this._chunks = {};
       this._params = params;
     }
 
+    // Like the terrain's: a cube around the planet, or the ring's floor.
+    // The ring's root count follows its radius, which only the planet's
+    // GUI changes, so the groups always match.
+    _CreateQuadtree() {
+      if (this._shape === "ring") {
+        return new quadtree.RingQuadTree({
+          radius: this._radius,
+          width: this._shapeParams.width,
+          tilt: this._tilt,
+          covers: (a0, a1) =>
+            ring_geometry.CoversArc(this._shapeParams, a0, a1),
+          min_node_size: this._minCellSize,
+        });
+      }
+      return new quadtree.CubeQuadTree({
+        radius: this._radius,
+        min_node_size: this._minCellSize,
+      });
+    }
+
     _ClearAllChunks() {
       // Remove all existing chunks from the scene
       for (let k in this._chunks) {
-        const chunk = this._chunks[k];
-        if (chunk.mesh && chunk.group) {
-          chunk.group.remove(chunk.mesh);
-          if (chunk.geometry) {
-            chunk.geometry.dispose();
-          }
-        }
+        this._DisposeChunk(this._chunks[k]);
       }
-      // Clear the chunks dictionary so they rebuild on next update
+      // Clear the chunks dictionary and start a new quadtree, so they rebuild
+      // on next update
       this._chunks = {};
+      this._quadtree = this._CreateQuadtree();
     }
 
-    _CreateOceanChunk(group, groupTransform, offset, width, resolution) {
+    // Takes a retired chunk out of the scene and frees its GPU buffers. The
+    // material is shared by every chunk and stays.
+    _DisposeChunk(chunk) {
+      if (!chunk.mesh) {
+        return;
+      }
+      chunk.group.remove(chunk.mesh);
+      chunk.geometry.dispose();
+      chunk.mesh = null;
+      chunk.geometry = null;
+    }
+
+    // height is the chunk's extent in y, where ring chunks may be shorter
+    _CreateOceanChunk(
+      group,
+      groupTransform,
+      offset,
+      width,
+      height,
+      resolution
+    ) {
       // Create a plane geometry for the ocean surface
       const geometry = new THREE.PlaneGeometry(
         width,
-        width,
+        height,
         resolution,
         resolution
       );
@@ -270,20 +327,13 @@ export const ocean = (function () {
       const tempNormal = new THREE.Vector3();
       const localPos = new THREE.Vector3();
       const worldCenter = new THREE.Vector3();
-      const _D = new THREE.Vector3();
-      const _EquatorDir = new THREE.Vector3();
-      const _RadialDir = new THREE.Vector3();
 
       const oceanRadius = this._radius;
       const isRing = this._shape === "ring";
+      const ringWidth = this._shapeParams.width;
 
-      // For ring shapes, track latitude for each vertex to cull faces
-      const latitudes = isRing ? [] : null;
-      const cullLatitude = isRing
-        ? this._shapeParams.cullLatitude !== undefined
-          ? this._shapeParams.cullLatitude
-          : 0.08
-        : Infinity;
+      // Vertices of a partial ring folded onto its end caps, see below
+      const clamped = [];
 
       // Calculate the world-space center of this chunk
       tempPos.copy(offset);
@@ -291,19 +341,15 @@ export const ocean = (function () {
       tempPos.normalize();
 
       if (isRing) {
-        // For ring, calculate position on the ring
-        _D.copy(tempPos);
-        const latitudeValue = Math.abs(_D.y);
-        _EquatorDir.set(_D.x, 0, _D.z);
-        if (_EquatorDir.lengthSq() < 1e-8) {
-          _EquatorDir.set(1, 0, 0);
-        } else {
-          _EquatorDir.normalize();
-        }
-        _RadialDir.copy(_EquatorDir);
-        const verticalOffset = _D.y * oceanRadius;
-        worldCenter.copy(_RadialDir).multiplyScalar(oceanRadius);
-        worldCenter.y = verticalOffset;
+        // For ring, the chunk's root maps straight onto the cylinder
+        quadtree.RingPoint(
+          offset.x,
+          offset.y,
+          oceanRadius,
+          ringWidth,
+          groupTransform,
+          worldCenter
+        );
         worldCenter.add(this._center);
       } else {
         // For planet shapes, center is at origin
@@ -321,27 +367,16 @@ export const ocean = (function () {
         tempPos.applyMatrix4(groupTransform);
 
         if (isRing) {
-          // Project onto ring at ocean level
-          tempPos.normalize();
-          _D.copy(tempPos);
-          const latitudeValue = Math.abs(_D.y);
-
-          // Store latitude for this vertex (for face culling)
-          latitudes.push(latitudeValue);
-
-          _EquatorDir.set(_D.x, 0, _D.z);
-          if (_EquatorDir.lengthSq() < 1e-8) {
-            _EquatorDir.set(1, 0, 0);
-          } else {
-            _EquatorDir.normalize();
-          }
-
-          _RadialDir.copy(_EquatorDir);
-          const verticalOffset = _D.y * oceanRadius;
-
-          // Position on ring
-          tempPos.copy(_RadialDir).multiplyScalar(oceanRadius);
-          tempPos.y = verticalOffset;
+          // Position on ring at ocean level
+          quadtree.RingPoint(
+            localPos.x + offset.x,
+            localPos.y + offset.y,
+            oceanRadius,
+            ringWidth,
+            groupTransform,
+            tempPos
+          );
+          clamped.push(ring_geometry.ClampPoint(this._shapeParams, tempPos));
           tempPos.add(this._center);
 
           // For ring, use a placeholder normal - it will be recomputed from geometry
@@ -372,8 +407,10 @@ export const ocean = (function () {
         }
       }
 
-      // For ring shapes, cull faces that are too far from equator
-      if (isRing && indices && latitudes.length > 0) {
+      // For ring shapes, wind the faces to face the ring's axis. The ring
+      // quadtree only covers the floor, so every face is kept but those
+      // folded flat over a gap in a partial ring.
+      if (isRing && indices) {
         const newIndices = [];
         const numVerts = resolution + 1;
 
@@ -385,23 +422,15 @@ export const ocean = (function () {
             const v10 = (i + 1) * row + j;
             const v11 = v10 + 1;
 
-            // Check if any vertex is too far from equator
-            const latMax = Math.max(
-              latitudes[v00],
-              latitudes[v01],
-              latitudes[v10],
-              latitudes[v11]
-            );
-
-            if (latMax <= cullLatitude) {
-              // Keep face - add indices with ring winding order
-              newIndices.push(v00, v01, v11);
-              newIndices.push(v00, v11, v10);
+            if (clamped[v00] && clamped[v01] && clamped[v10] && clamped[v11]) {
+              continue;
             }
+
+            newIndices.push(v00, v01, v11);
+            newIndices.push(v00, v11, v10);
           }
         }
 
-        // Update geometry with culled indices
         geometry.setIndex(newIndices);
       }
 
@@ -431,6 +460,12 @@ export const ocean = (function () {
         // If normals weren't created, compute them now
         geometry.computeVertexNormals();
       }
+
+      this._AddSkirts(
+        geometry,
+        worldCenter,
+        (width / resolution) * terrain_constants.SKIRT_DEPTH
+      );
       geometry.computeBoundingSphere();
 
       const mesh = new THREE.Mesh(geometry, this._material);
@@ -439,14 +474,8 @@ export const ocean = (function () {
       mesh.frustumCulled = false;
       mesh.renderOrder = 1; // Render after terrain (terrain is default 0)
 
-      // For ring shapes, use FrontSide like terrain
-      // The normals should be computed correctly from geometry to face inward
-      if (isRing) {
-        const ringMaterial = this._material.clone();
-        ringMaterial.side = THREE.FrontSide;
-        mesh.material = ringMaterial;
-      }
-
+      // Ring chunks share the FrontSide material too, their normals are
+      // flipped to face inward above
       group.add(mesh);
 
       return {
@@ -457,6 +486,67 @@ export const ocean = (function () {
       };
     }
 
+    // Hangs skirts below the open edges of a chunk, as the terrain chunks
+    // do, so LOD cracks between ocean chunks aren't see-through. Positions
+    // are relative to worldCenter.
+    _AddSkirts(geometry, worldCenter, depth) {
+      const isRing = this._shape === "ring";
+      const indices = [...geometry.index.array];
+      const attributes = Object.entries(geometry.attributes).map(
+        ([name, a]) => ({
+          name: name,
+          itemSize: a.itemSize,
+          values: [...a.array],
+        })
+      );
+      const position = attributes.find((a) => a.name === "position").values;
+
+      const _P = new THREE.Vector3();
+      const _Down = new THREE.Vector3();
+      const _Axis = new THREE.Vector3(0, 1, 0).applyQuaternion(this._tilt);
+      const skirts = new Map();
+      const _Skirt = (v) => {
+        if (!skirts.has(v)) {
+          skirts.set(v, position.length / 3);
+
+          // Down is toward the planet centre, or away from the ring axis
+          _P.fromArray(position, v * 3).add(worldCenter);
+          if (isRing) {
+            _P.sub(this._center);
+            _Down.copy(_P).addScaledVector(_Axis, -_P.dot(_Axis)).normalize();
+          } else {
+            _Down.copy(_P).normalize().negate();
+          }
+
+          for (const a of attributes) {
+            for (let j = 0; j < a.itemSize; j++) {
+              a.values.push(a.values[v * a.itemSize + j]);
+            }
+          }
+          const s = position.length - 3;
+          position[s] += _Down.x * depth;
+          position[s + 1] += _Down.y * depth;
+          position[s + 2] += _Down.z * depth;
+        }
+        return skirts.get(v);
+      };
+
+      for (const [a, b] of utils.BoundaryEdges(indices)) {
+        const sa = _Skirt(a);
+        const sb = _Skirt(b);
+        indices.push(a, sa, sb);
+        indices.push(a, sb, b);
+      }
+
+      for (const a of attributes) {
+        geometry.setAttribute(
+          a.name,
+          new THREE.Float32BufferAttribute(a.values, a.itemSize)
+        );
+      }
+      geometry.setIndex(indices);
+    }
+
     Update(timeInSeconds) {
       // Update time uniform for animation
       this._totalTime += timeInSeconds;
@@ -465,6 +555,7 @@ export const ocean = (function () {
       this._UpdateVisibleChunks_Quadtree();
 
       const cameraPosition = this._params.camera.position;
+      this._culler.Begin(cameraPosition, this._occluder);
 
       // Update chunk positions relative to camera
       for (let k in this._chunks) {
@@ -472,100 +563,56 @@ export const ocean = (function () {
         if (chunk.mesh && chunk.origin) {
           chunk.mesh.position.copy(chunk.origin);
           chunk.mesh.position.sub(cameraPosition);
+
+          _BOUNDS.copy(chunk.geometry.boundingSphere);
+          _BOUNDS.center.add(chunk.mesh.position);
+          chunk.mesh.visible = this._culler.IsVisible(_BOUNDS);
         }
       }
     }
 
-    _UpdateVisibleChunks_Quadtree() {
-      function _Key(c) {
-        return (
-          c.position[0] +
-          "/" +
-          c.position[1] +
-          " [" +
-          c.size +
-          "]" +
-          " [" +
-          c.index +
-          "]"
-        );
-      }
-
-      const q = new quadtree.CubeQuadTree({
-        radius: this._radius,
-        min_node_size: this._minCellSize,
-      });
+    // World space sphere hiding the far side of the ocean, or null. The
+    // terrain manager hands over its own, see TerrainChunkManager._Occluder.
+    SetOccluder(occluder) {
+      this._occluder = occluder;
+    }
 
+    // Persistent quadtree like the terrain's, with chunks keyed by node ID
+    _UpdateVisibleChunks_Quadtree() {
       const cameraPosition = this._params.camera.position.clone();
       if (this._shape === "ring") {
         cameraPosition.sub(this._center);
       }
-      q.Insert(cameraPosition);
-
-      const sides = q.GetChildren();
-
-      let newOceanChunks = {};
-      const center = new THREE.Vector3();
-      const dimensions = new THREE.Vector3();
-      for (let i = 0; i < sides.length; i++) {
-        for (let c of sides[i].children) {
-          c.bounds.getCenter(center);
-          c.bounds.getSize(dimensions);
-
-          const child = {
-            index: i,
-            group: this._groups[i],
-            transform: sides[i].transform,
-            position: [center.x, center.y, center.z],
-            bounds: c.bounds,
-            size: dimensions.x,
-          };
-
-          const k = _Key(child);
-          newOceanChunks[k] = child;
-        }
-      }
-
-      const intersection = utils.DictIntersection(this._chunks, newOceanChunks);
-      const difference = utils.DictDifference(newOceanChunks, this._chunks);
-      const recycle = Object.values(
-        utils.DictDifference(this._chunks, newOceanChunks)
-      );
+      const changes = this._quadtree.Update(cameraPosition);
 
-      // Remove recycled chunks
-      for (let chunk of recycle) {
-        if (chunk.mesh) {
-          chunk.group.remove(chunk.mesh);
-          chunk.geometry.dispose();
+      for (let node of changes.removed) {
+        if (node.id in this._chunks) {
+          this._DisposeChunk(this._chunks[node.id]);
+          delete this._chunks[node.id];
         }
       }
 
-      newOceanChunks = intersection;
-
-      // Create new chunks
-      for (let k in difference) {
-        const [xp, yp, zp] = difference[k].position;
-
-        const offset = new THREE.Vector3(xp, yp, zp);
+      for (let node of changes.added) {
+        const group = this._groups[node.side];
+        const transform = this._quadtree.Transform(node.side);
         const chunk = this._CreateOceanChunk(
-          difference[k].group,
-          difference[k].transform,
-          offset,
-          difference[k].size,
+          group,
+          transform,
+          node.center.clone(),
+          node.size.x,
+          node.size.y,
           terrain_constants.QT_MIN_CELL_RESOLUTION
         );
 
-        newOceanChunks[k] = {
-          position: [xp, zp],
-          group: difference[k].group,
-          transform: difference[k].transform,
+        this._chunks[node.id] = {
+          node: node,
+          group: group,
+          transform: transform,
           mesh: chunk.mesh,
           geometry: chunk.geometry,
           origin: chunk.origin,
         };
       }
-
-      this._chunks = newOceanChunks;
     }
 
     UpdateSunDirection(sunDirection) {
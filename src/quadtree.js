@@ -1,10 +1,118 @@
 import * as THREE from "https://cdn.jsdelivr.net/npm/three@0.181.0/build/three.module.js";
 
 export const quadtree = (function () {
-  class CubeQuadTree {
+  // By default leaves merge back into their parent once the camera is this
+  // fraction past the parent's split distance
+  const _HYSTERESIS = 0.1;
+
+  // Node IDs are location codes: a root is a 1 bit followed by its index in
+  // as few bits as hold every root (3 for a cube's faces), and each level
+  // appends the child's quadrant in 2 more, or its half in 1 where a long
+  // node is halved. A node keeps its ID while it lives, and whichever node
+  // later covers the same square gets it back. Doubles hold whole numbers
+  // up to 2^53, enough for 24 levels on a cube.
+  function _RootId(index, count) {
+    return 2 ** Math.ceil(Math.log2(count)) + index;
+  }
+
+  // Fewest roots around a ring. Fewer, longer roots mean fewer chunks seen
+  // from far away, but a worse fit around the circumference.
+  const _MIN_RING_ROOTS = 8;
+
+  // The ring is tiled by roots as wide as its floor and a power of two times
+  // as long, which halve into squares. To fit a whole number of them, the
+  // circumference is stretched slightly to that of arcRadius.
+  function _RingLayout(radius, width) {
+    const squares = (2.0 * Math.PI * radius) / width;
+    let length = 1;
+    while (squares / (length * 2) >= _MIN_RING_ROOTS) {
+      length *= 2;
+    }
+    const roots = Math.max(3, Math.round(squares / length));
+    return {
+      roots: roots,
+      length: length * width,
+      arcRadius: (roots * length * width) / (2.0 * Math.PI),
+    };
+  }
+
+  // Point on the ring floor, relative to the ring's centre, for (x, y) in a
+  // root's space: x runs along the circumference and y along the axis. The
+  // root's transform turns its centre, at x = 0, to its place on the ring.
+  function _RingPoint(x, y, radius, width, transform, target) {
+    const angle = x / _RingLayout(radius, width).arcRadius;
+    target.set(Math.sin(angle) * radius, y, Math.cos(angle) * radius);
+    return target.applyMatrix4(transform);
+  }
+
+  // Quadtrees over each root of a surface, split and merged together
+  class _RootedQuadTree {
     constructor(params) {
       this._params = params;
       this._sides = [];
+    }
+
+    _AddRoot(transform, params) {
+      const side = this._sides.length;
+      this._sides.push({
+        transform: transform.clone(),
+        worldToLocal: transform.clone().invert(),
+        quadtree: new QuadTree(
+          Object.assign(
+            {
+              min_node_size: this._params.min_node_size,
+              split_distance: this._params.split_distance,
+              merge_distance: this._params.merge_distance,
+              localToWorld: transform,
+              side: side,
+            },
+            params
+          )
+        ),
+      });
+    }
+
+    // Transform of the root a node's side index refers to
+    Transform(side) {
+      return this._sides[side].transform;
+    }
+
+    // Number of roots, and of side indices
+    get Sides() {
+      return this._sides.length;
+    }
+
+    GetChildren() {
+      const children = [];
+
+      for (let s of this._sides) {
+        const side = {
+          transform: s.transform,
+          children: s.quadtree.GetChildren(),
+        };
+        children.push(side);
+      }
+      return children;
+    }
+
+    // Splits and merges the roots for a camera at pos, and returns the
+    // leaves that appeared and went away since the last call, as
+    // { added, removed }. The first call adds every leaf.
+    Update(pos) {
+      const changes = {
+        added: [],
+        removed: [],
+      };
+      for (let s of this._sides) {
+        s.quadtree.Update(pos, changes);
+      }
+      return changes;
+    }
+  }
+
+  class CubeQuadTree extends _RootedQuadTree {
+    constructor(params) {
+      super(params);
 
       const r = params.radius;
       let m;
@@ -46,60 +154,115 @@ export const quadtree = (function () {
       m.premultiply(new THREE.Matrix4().makeTranslation(0, 0, -r));
       transforms.push(m);
 
-      for (let t of transforms) {
-        this._sides.push({
-          transform: t.clone(),
-          worldToLocal: t.clone().invert(),
-          quadtree: new QuadTree({
-            size: r,
-            min_node_size: params.min_node_size,
-            localToWorld: t,
-          }),
+      for (let i = 0; i < transforms.length; i++) {
+        this._AddRoot(transforms[i], {
+          size: r,
+          id: _RootId(i, transforms.length),
         });
       }
     }
+  }
 
-    GetChildren() {
-      const children = [];
+  // Tiles only the inside of a ring's floor, a band params.width metres
+  // wide on a cylinder of params.radius around the Y axis, turned by the
+  // params.tilt quaternion if given. A node's space is its root's (x, y),
+  // see RingPoint, and sphereCenter is on the floor.
+  // Nodes longer than they're wide halve along the ring before they split
+  // into quadrants, so far away the floor is a few long chunks. Where
+  // params.covers(a0, a1) says there's no floor between those angles around
+  // the ring, in radians from the first root's centre, nodes are left out.
+  class RingQuadTree extends _RootedQuadTree {
+    constructor(params) {
+      super(params);
 
-      for (let s of this._sides) {
-        const side = {
-          transform: s.transform,
-          children: s.quadtree.GetChildren(),
-        };
-        children.push(side);
+      const r = params.radius;
+      const w = params.width;
+      const layout = _RingLayout(r, w);
+      const bounds = new THREE.Box3(
+        new THREE.Vector3(-layout.length * 0.5, -w * 0.5, 0),
+        new THREE.Vector3(layout.length * 0.5, w * 0.5, 0)
+      );
+      const tilt = new THREE.Matrix4();
+      if (params.tilt) {
+        tilt.makeRotationFromQuaternion(params.tilt);
       }
-      return children;
-    }
-
-    Insert(pos) {
-      for (let s of this._sides) {
-        s.quadtree.Insert(pos);
+      for (let i = 0; i < layout.roots; i++) {
+        const angle = (2.0 * Math.PI * i) / layout.roots;
+        const t = new THREE.Matrix4().makeRotationY(angle);
+        t.premultiply(tilt);
+        this._AddRoot(t, {
+          bounds: bounds.clone(),
+          id: _RootId(i, layout.roots),
+          surface_point: (x, y, target) => _RingPoint(x, y, r, w, t, target),
+          covers: params.covers
+            ? (node) =>
+                params.covers(
+                  angle + node.bounds.min.x / layout.arcRadius,
+                  angle + node.bounds.max.x / layout.arcRadius
+                )
+            : null,
+        });
       }
     }
   }
 
+  // Kept from frame to frame. A leaf splits once the camera is within
+  // split_distance(node, localToWorld) of its centre on the sphere, by
+  // default the node's own width, and its children merge back once the
+  // camera is past merge_distance, a little further out, so nodes on the
+  // boundary don't flip back and forth. The root covers bounds, by default
+  // a square of half width size, and surface_point(x, y, target) puts a
+  // node's centre on the surface, by default a sphere of radius size.
+  // Nodes covers(node) says have no surface under them never split and
+  // aren't reported as leaves.
   class QuadTree {
     constructor(params) {
+      this._params = params;
+      this._splitDistance = params.split_distance || ((node) => node.size.x);
+      this._mergeDistance =
+        params.merge_distance ||
+        ((node, localToWorld) =>
+          this._splitDistance(node, localToWorld) * (1.0 + _HYSTERESIS));
+
       const s = params.size;
-      const b = new THREE.Box3(
-        new THREE.Vector3(-s, -s, 0),
-        new THREE.Vector3(s, s, 0)
-      );
-      this._root = {
-        bounds: b,
+      const b =
+        params.bounds ||
+        new THREE.Box3(
+          new THREE.Vector3(-s, -s, 0),
+          new THREE.Vector3(s, s, 0)
+        );
+      this._root = this._CreateNode(b, null, params.id || 1);
+      this._grown = false;
+    }
+
+    _CreateNode(bounds, parent, id) {
+      const node = {
+        id: id,
+        side: this._params.side || 0,
+        bounds: bounds,
         children: [],
-        center: b.getCenter(new THREE.Vector3()),
-        sphereCenter: b.getCenter(new THREE.Vector3()),
-        size: b.getSize(new THREE.Vector3()),
-        root: true,
+        center: bounds.getCenter(new THREE.Vector3()),
+        size: bounds.getSize(new THREE.Vector3()),
+        parent: parent,
+        halved: false,
+        covered: true,
       };
-
-      this._params = params;
-      this._root.sphereCenter = this._root.center.clone();
-      this._root.sphereCenter.applyMatrix4(this._params.localToWorld);
-      this._root.sphereCenter.normalize();
-      this._root.sphereCenter.multiplyScalar(this._params.size);
+      if (this._params.covers) {
+        node.covered = this._params.covers(node);
+      }
+      if (this._params.surface_point) {
+        node.sphereCenter = this._params.surface_point(
+          node.center.x,
+          node.center.y,
+          new THREE.Vector3()
+        );
+        return node;
+      }
+      node.sphereCenter = node.center.clone();
+      node.sphereCenter.applyMatrix4(this._params.localToWorld);
+      node.sphereCenter.normalize();
+      node.sphereCenter.multiplyScalar(this._params.size);
+      return node;
     }
 
     GetChildren() {
@@ -110,7 +273,9 @@ export const quadtree = (function () {
 
     _GetChildren(node, target) {
       if (node.children.length == 0) {
-        target.push(node);
+        if (node.covered) {
+          target.push(node);
+        }
         return;
       }
 
@@ -119,25 +284,61 @@ export const quadtree = (function () {
       }
     }
 
-    Insert(pos) {
-      this._Insert(this._root, pos);
+    // Appends the leaves that appeared and went away to changes
+    Update(pos, changes) {
+      if (!this._grown) {
+        this._grown = true;
+        this._Grow(this._root, pos);
+        this._GetChildren(this._root, changes.added);
+        return;
+      }
+      this._Update(this._root, pos, changes);
     }
 
-    _Insert(child, pos) {
-      const distToChild = this._DistanceToChild(child, pos);
+    _Update(node, pos, changes) {
+      if (node.children.length == 0) {
+        if (this._ShouldSplit(node, pos)) {
+          this._Grow(node, pos);
+          changes.removed.push(node);
+          this._GetChildren(node, changes.added);
+        }
+        return;
+      }
 
-      if (
-        distToChild < child.size.x * 1.0 &&
-        child.size.x > this._params.min_node_size
-      ) {
-        child.children = this._CreateChildren(child);
+      const distance = this._DistanceToChild(node, pos);
+      if (distance > this._mergeDistance(node, this._params.localToWorld)) {
+        this._GetChildren(node, changes.removed);
+        node.children = [];
+        changes.added.push(node);
+        return;
+      }
 
-        for (let c of child.children) {
-          this._Insert(c, pos);
-        }
+      for (let c of node.children) {
+        this._Update(c, pos, changes);
+      }
+    }
+
+    // Splits a new leaf, and its children, for as long as the camera is
+    // close enough
+    _Grow(node, pos) {
+      if (!this._ShouldSplit(node, pos)) {
+        return;
+      }
+      node.children = this._CreateChildren(node);
+      for (let c of node.children) {
+        this._Grow(c, pos);
       }
     }
 
+    _ShouldSplit(node, pos) {
+      return (
+        node.covered &&
+        node.size.x > this._params.min_node_size &&
+        this._DistanceToChild(node, pos) <
+          this._splitDistance(node, this._params.localToWorld)
+      );
+    }
+
     _DistanceToChild(child, pos) {
       return child.sphereCenter.distanceTo(pos);
     }
@@ -145,6 +346,23 @@ export const quadtree = (function () {
     _CreateChildren(child) {
       const midpoint = child.bounds.getCenter(new THREE.Vector3());
 
+      // Nodes at least twice as long as they're wide are halved
+      if (child.size.x >= child.size.y * 2.0) {
+        const left = new THREE.Box3(
+          child.bounds.min,
+          new THREE.Vector3(midpoint.x, child.bounds.max.y, 0)
+        );
+        const right = new THREE.Box3(
+          new THREE.Vector3(midpoint.x, child.bounds.min.y, 0),
+          child.bounds.max
+        );
+        return [left, right].map((b, i) => {
+          const node = this._CreateNode(b, child, child.id * 2 + i);
+          node.halved = true;
+          return node;
+        });
+      }
+
       // Bottom left
       const b1 = new THREE.Box3(child.bounds.min, midpoint);
 
@@ -163,28 +381,17 @@ export const quadtree = (function () {
       // Top right
       const b4 = new THREE.Box3(midpoint, child.bounds.max);
 
-      const children = [b1, b2, b3, b4].map((b) => {
-        return {
-          bounds: b,
-          children: [],
-          center: b.getCenter(new THREE.Vector3()),
-          size: b.getSize(new THREE.Vector3()),
-        };
+      return [b1, b2, b3, b4].map((b, i) => {
+        return this._CreateNode(b, child, child.id * 4 + i);
       });
-
-      for (let c of children) {
-        c.sphereCenter = c.center.clone();
-        c.sphereCenter.applyMatrix4(this._params.localToWorld);
-        c.sphereCenter.normalize();
-        c.sphereCenter.multiplyScalar(this._params.size);
-      }
-
-      return children;
     }
   }
 
   return {
     QuadTree: QuadTree,
     CubeQuadTree: CubeQuadTree,
+    RingQuadTree: RingQuadTree,
+    RingLayout: _RingLayout,
+    RingPoint: _RingPoint,
   };
 })();
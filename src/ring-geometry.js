@@ -0,0 +1,155 @@
+import * as THREE from "https://cdn.jsdelivr.net/npm/three@0.181.0/build/three.module.js";
+
+export const ring_geometry = (function () {
+  // Everything derived from a ring definition, terrain_constants.RING or a
+  // ring's shapeParams, which carry the same fields. It stays plain data so
+  // it can go to the workers and into the chunk cache's keys.
+
+  const _X_AXIS = new THREE.Vector3(1, 0, 0);
+  const _TWO_PI = Math.PI * 2.0;
+
+  const _Q = new THREE.Quaternion();
+
+  function _Wrap(angle) {
+    return ((angle % _TWO_PI) + _TWO_PI) % _TWO_PI;
+  }
+
+  // The ring's floor as [start, end] arcs, in radians around its axis in
+  // its own frame, at atan2(x, z) as quadtree.RingPoint lays it out. A ring
+  // without ring.segments is one arc all the way round.
+  function _Segments(ring) {
+    if (!ring.segments || ring.segments.length == 0) {
+      return [[0.0, _TWO_PI]];
+    }
+    return ring.segments.map(([start, end]) => {
+      const s = _Wrap(start);
+      return [s, s + Math.min(Math.max(end - start, 0.0), _TWO_PI)];
+    });
+  }
+
+  function _IsWhole(ring) {
+    return _Segments(ring).some(([start, end]) => end - start >= _TWO_PI);
+  }
+
+  // Whether there's floor at angle
+  function _Covers(ring, angle) {
+    return _Segments(ring).some(
+      ([start, end]) => _Wrap(angle - start) <= end - start
+    );
+  }
+
+  // Whether any floor lies between angles a0 and a1, a0 <= a1
+  function _CoversArc(ring, a0, a1) {
+    return _Segments(ring).some(
+      ([start, end]) =>
+        _Wrap(a0 - start) <= end - start || _Wrap(start - a0) <= a1 - a0
+    );
+  }
+
+  // angle, or the end of the floor nearest to it when it's in a gap
+  function _Clamp(ring, angle) {
+    let best = angle;
+    let bestDistance = Infinity;
+    for (const [start, end] of _Segments(ring)) {
+      if (_Wrap(angle - start) <= end - start) {
+        return angle;
+      }
+      const past = _Wrap(angle - end);
+      if (past < bestDistance) {
+        best = end;
+        bestDistance = past;
+      }
+      const before = _Wrap(start - angle);
+      if (before < bestDistance) {
+        best = start;
+        bestDistance = before;
+      }
+    }
+    return best;
+  }
+
+  // Radians from angle to the nearest end cap, Infinity on a whole ring
+  function _EndDistance(ring, angle) {
+    if (_IsWhole(ring)) {
+      return Infinity;
+    }
+    let distance = Infinity;
+    for (const [start, end] of _Segments(ring)) {
+      const a = _Wrap(angle - start);
+      const b = _Wrap(end - angle);
+      distance = Math.min(distance, Math.min(a, _TWO_PI - a, b, _TWO_PI - b));
+    }
+    return distance;
+  }
+
+  // Turns point, relative to the ring's centre, about the ring's axis onto
+  // the nearest end of the floor when it's over a gap. Returns whether it
+  // moved.
+  function _ClampPoint(ring, point) {
+    if (_IsWhole(ring)) {
+      return false;
+    }
+    const untilt = _Tilt(ring, _Q).invert();
+    point.applyQuaternion(untilt);
+    const angle = Math.atan2(point.x, point.z);
+    const clamped = _Clamp(ring, angle);
+    if (clamped !== angle) {
+      const r = Math.sqrt(point.x * point.x + point.z * point.z);
+      point.x = Math.sin(clamped) * r;
+      point.z = Math.cos(clamped) * r;
+    }
+    point.applyQuaternion(untilt.invert());
+    return clamped !== angle;
+  }
+
+  // Rotation from the ring's own frame, where it spins about +Y, to the
+  // world's
+  function _Tilt(ring, target) {
+    target = target || new THREE.Quaternion();
+    return target.setFromAxisAngle(_X_AXIS, ring.tilt || 0.0);
+  }
+
+  // The side walls as RingSpinPhysics takes them: their inner faces stand
+  // at the edges of the floor, from the wall tops down through the hull
+  function _Walls(ring) {
+    return {
+      wallHalfWidth: ring.width * 0.5,
+      wallInnerRadius: ring.radius - ring.wallHeight,
+      wallOuterRadius: ring.radius + ring.hullThickness,
+    };
+  }
+
+  // Dimensions for createProceduralHaloShell. Its deck faces are the walls'
+  // inner faces, so its deck height is half the floor's width, and its
+  // wall height is how far the walls reach out along the axis. The shell
+  // measures its arcs from +X towards +Z, where the ring's angles run from
+  // +Z towards +X.
+  function _Shell(ring) {
+    return {
+      radius: ring.radius + ring.hullThickness,
+      deckHeight: ring.width * 0.5,
+      wallInnerDrop: ring.hullThickness + ring.wallHeight,
+      floorDrop: ring.hullThickness,
+      wallHeight: ring.wallThickness,
+      arcs: _IsWhole(ring)
+        ? null
+        : _Segments(ring).map(([start, end]) => [
+            Math.PI * 0.5 - end,
+            Math.PI * 0.5 - start,
+          ]),
+    };
+  }
+
+  return {
+    Segments: _Segments,
+    IsWhole: _IsWhole,
+    Covers: _Covers,
+    CoversArc: _CoversArc,
+    Clamp: _Clamp,
+    EndDistance: _EndDistance,
+    ClampPoint: _ClampPoint,
+    Tilt: _Tilt,
+    Walls: _Walls,
+    Shell: _Shell,
+  };
+})();
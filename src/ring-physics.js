@@ -0,0 +1,109 @@
+import * as THREE from "https://cdn.jsdelivr.net/npm/three@0.181.0/build/three.module.js";
+
+export const ring_physics = (function () {
+  // Physics in the ring's co-rotating frame. The ring spins about its local
+  // Y axis, turned to the world's by the params.tilt quaternion, so
+  // anything standing on the floor feels centrifugal "gravity" pointing
+  // radially outward with magnitude spinRate^2 * distanceFromAxis, and
+  // anything moving relative to the floor picks up a Coriolis term.
+  class RingSpinPhysics {
+    constructor(params) {
+      this._center = params.center
+        ? params.center.clone()
+        : new THREE.Vector3(0, 0, 0);
+      this._radius = params.radius;
+      this._spinRate =
+        params.spinRate !== undefined
+          ? params.spinRate
+          : RingSpinPhysics.SpinRateForGravity(params.radius, 9.81);
+
+      // Side walls are planes at +/- wallHalfWidth along the axis, spanning
+      // radially from wallInnerRadius (the rim) out to wallOuterRadius.
+      this._wallHalfWidth =
+        params.wallHalfWidth !== undefined ? params.wallHalfWidth : Infinity;
+      this._wallInnerRadius =
+        params.wallInnerRadius !== undefined ? params.wallInnerRadius : 0.0;
+      this._wallOuterRadius =
+        params.wallOuterRadius !== undefined
+          ? params.wallOuterRadius
+          : Infinity;
+
+      this._tilt = params.tilt ? params.tilt.clone() : new THREE.Quaternion();
+      this._untilt = this._tilt.clone().invert();
+
+      this._omega = new THREE.Vector3();
+      this._coriolis = new THREE.Vector3();
+      this._local = new THREE.Vector3();
+    }
+
+    static SpinRateForGravity(radius, gravity) {
+      return Math.sqrt(gravity / Math.max(radius, 1e-5));
+    }
+
+    get Radius() {
+      return this._radius;
+    }
+
+    get SpinRate() {
+      return this._spinRate;
+    }
+
+    SetSpinRate(spinRate) {
+      this._spinRate = Math.max(0.0, spinRate);
+    }
+
+    // Apparent gravity on the ring floor.
+    get FloorGravity() {
+      return this._spinRate * this._spinRate * this._radius;
+    }
+
+    GetGravity(position, target) {
+      target = target || new THREE.Vector3();
+      target.copy(position).sub(this._center).applyQuaternion(this._untilt);
+      target.y = 0.0;
+      target.applyQuaternion(this._tilt);
+      return target.multiplyScalar(this._spinRate * this._spinRate);
+    }
+
+    // Integrates the Coriolis acceleration -2 * omega x v into velocity.
+    ApplyCoriolis(velocity, timeInSeconds) {
+      this._omega.set(0, this._spinRate, 0).applyQuaternion(this._tilt);
+      this._coriolis.crossVectors(this._omega, velocity);
+      velocity.addScaledVector(this._coriolis, -2.0 * timeInSeconds);
+      return velocity;
+    }
+
+    // Keeps a sphere of the given radius between the side walls while it is
+    // below the rim. Returns the wall normal (pointing back into the ring)
+    // when a wall was hit, or null.
+    ConstrainToWalls(position, radius, normal) {
+      const p = this._local.copy(position).sub(this._center);
+      p.applyQuaternion(this._untilt);
+      const local = p.y;
+      const distanceFromAxis = Math.sqrt(p.x * p.x + p.z * p.z);
+
+      if (
+        distanceFromAxis < this._wallInnerRadius ||
+        distanceFromAxis > this._wallOuterRadius
+      ) {
+        return null;
+      }
+
+      const limit = this._wallHalfWidth - radius;
+      if (Math.abs(local) <= limit) {
+        return null;
+      }
+
+      const side = Math.sign(local);
+      p.y = side * limit;
+      position.copy(p.applyQuaternion(this._tilt)).add(this._center);
+
+      normal = normal || new THREE.Vector3();
+      return normal.set(0, -side, 0).applyQuaternion(this._tilt);
+    }
+  }
+
+  return {
+    RingSpinPhysics: RingSpinPhysics,
+  };
+})();
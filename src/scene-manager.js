@@ -32,6 +32,7 @@ export const scene_manager = (function () {
           camera: graphics.Camera,
           scene: graphics.Scene,
           scattering: graphics._depthPass,
+          graphics: graphics,
           gui: gui,
           guiParams: guiParams,
           game: game,
@@ -45,18 +46,16 @@ export const scene_manager = (function () {
           camera: graphics.Camera,
           scene: graphics.Scene,
           scattering: null,
+          graphics: graphics,
           gui: null,
           guiParams: {},
           game: game,
-          radius: terrain_constants.RING_MAJOR_RADIUS,
+          radius: terrain_constants.RING.radius,
           center: new THREE.Vector3(terrain_constants.RING_OFFSET, 0, 0),
           shape: "ring",
-          shapeParams: {
-            latCutoff: terrain_constants.RING_LATITUDE_CUTOFF,
-            latFade: terrain_constants.RING_LATITUDE_FADE,
-            dropExponent: terrain_constants.RING_DROP_EXPONENT,
-            cullLatitude: terrain_constants.RING_CULL_LATITUDE,
-          },
+          shapeParams: Object.assign({}, terrain_constants.RING, {
+            edgeProfile: terrain_constants.RING_EDGE_PROFILE,
+          }),
         });
         entities.ringworld = ringworldManager;
       }
@@ -72,7 +71,7 @@ export const scene_manager = (function () {
           0,
           0
         );
-        const ringRadius = terrain_constants.RING_MAJOR_RADIUS;
+        const ringRadius = terrain_constants.RING.radius;
         const orbitDistance = ringRadius * 1.5; // 1.5x ring radius for orbit
 
         // Position camera at an angle to view the ring structure
@@ -1,7 +1,5 @@
 import * as THREE from "https://cdn.jsdelivr.net/npm/three@0.181.0/build/three.module.js";
 import { terrain_constants } from "./terrain-constants.js";
-import { noise } from "./noise.js";
-import { math } from "./math.js";
 
 export const scenery_controller = (function () {
   // Tree dimensions
@@ -62,9 +60,6 @@ export const scenery_controller = (function () {
 
       // Number of scenery objects to spawn per chunk (scaled by chunk size)
       this._sceneryPerChunk = 100; // Base number of scenery objects per chunk
-      this._treeRatio = 0.6; // 60% trees
-      this._rockRatio = 0.25; // 25% rocks
-      this._bushRatio = 0.15; // 15% bushes
 
       // Limit scenery spawned per frame to avoid lag
       this._maxSceneryPerFrame = 1; // Limit to prevent frame drops
@@ -77,54 +72,11 @@ export const scenery_controller = (function () {
 
       // Track tree spawn progress per chunk (how many trees have been attempted)
       this._chunkSpawnProgress = new Map(); // key -> number of trees attempted
-
-      // Initialize noise for height calculation
-      const noiseParams = {
-        octaves: 13,
-        persistence: 0.5,
-        lacunarity: 1.6,
-        exponentiation: 7.5,
-        height: terrain_constants.NOISE_HEIGHT,
-        scale: terrain_constants.NOISE_SCALE,
-        seed: 1,
-      };
-      this._noise = new noise.Noise(noiseParams);
-
-      // Initialize biome noise
-      const biomeParams = {
-        octaves: 2,
-        persistence: 0.5,
-        lacunarity: 2.0,
-        scale: 2048.0,
-        noiseType: "simplex",
-        seed: 2,
-        exponentiation: 1,
-        height: 1.0,
-      };
-      this._biomeNoise = new noise.Noise(biomeParams);
     }
 
     _GetSurfaceNormal(worldPosition) {
-      // Calculate surface normal based on shape
-      const direction = new THREE.Vector3();
-      direction.copy(worldPosition);
-      direction.sub(this._center);
-      direction.normalize();
-
-      if (this._shape === "ring") {
-        // For ring, normal is negative of radial direction in XY plane
-        const _D = direction.clone();
-        const _EquatorDir = new THREE.Vector3(_D.x, 0, _D.z);
-        if (_EquatorDir.lengthSq() < 1e-8) {
-          _EquatorDir.set(1, 0, 0);
-        } else {
-          _EquatorDir.normalize();
-        }
-        return _EquatorDir.negate();
-      } else {
-        // For planet, normal is radial outward from center
-        return direction;
-      }
+      // Planet normal is radial outward, ring normal points toward the axis
+      return this._terrainManager.GetSurfacePointAt(worldPosition).up.clone();
     }
 
     _CreateTree(worldPosition) {
@@ -442,88 +394,19 @@ export const scenery_controller = (function () {
       }
     }
 
-    // Get height of terrain at a given world position
-    _GetTerrainHeight(worldPosition) {
-      // Sample noise at the world position
-      let height = this._noise.Get(
-        worldPosition.x,
-        worldPosition.y,
-        worldPosition.z
-      );
-
-      // Get the normal direction from the sphere center (radial direction)
-      const normal = new THREE.Vector3();
-      normal.copy(worldPosition);
-      normal.sub(this._center);
-      normal.normalize();
-
-      let terrainPosition;
-      if (this._shape === "ring") {
-        // For ring, project onto ring geometry
-        const _D = normal.clone();
-        const latitudeValue = Math.abs(_D.y);
-
-        // Calculate height mask for ring (same as terrain builder)
-        const latCutoff = this._shapeParams.latCutoff || 0.02;
-        const latFade = this._shapeParams.latFade || 0.05;
-        const dropExponent = this._shapeParams.dropExponent || 1.5;
-
-        const latCutoffClamped = Math.max(0.0, Math.min(1.0, latCutoff));
-        const latFadeSafe = Math.max(1e-5, latFade);
-        const blendRaw = Math.min(
-          1.0,
-          Math.max(0.0, (latitudeValue - latCutoffClamped) / latFadeSafe)
-        );
-        const heightMask = 1.0 - Math.pow(blendRaw, dropExponent);
-
-        height *= heightMask;
-
-        // Project onto ring
-        const _EquatorDir = new THREE.Vector3(_D.x, 0, _D.z);
-        if (_EquatorDir.lengthSq() < 1e-8) {
-          _EquatorDir.set(1, 0, 0);
-        } else {
-          _EquatorDir.normalize();
-        }
-
-        const ringRadius = this._radius;
-        const verticalOffset = _D.y * ringRadius;
-
-        const _RadialDir = _EquatorDir.clone();
-
-        terrainPosition = _RadialDir.clone().multiplyScalar(ringRadius);
-        terrainPosition.y = verticalOffset;
-
-        // Add height along the radial direction (negative for inward normal)
-        const heightOffset = _RadialDir.clone().negate().multiplyScalar(height);
-        terrainPosition.add(heightOffset);
-
-        terrainPosition.add(this._center);
-      } else {
-        // For planet, use standard sphere projection
-        terrainPosition = normal.clone().multiplyScalar(this._radius + height);
-        terrainPosition.add(this._center);
-      }
-
-      return terrainPosition;
+    // Get the displaced terrain surface point for a direction from the
+    // terrain centre, using the terrain manager's live height sampler
+    _GetTerrainPosition(direction) {
+      return this._terrainManager.GetSurfacePoint(direction).position.clone();
     }
 
-    // Get biome type at a given world position
-    _GetBiome(worldPosition) {
-      const m = this._biomeNoise.Get(
-        worldPosition.x,
-        worldPosition.y,
-        worldPosition.z
-      );
-      const h = math.sat(worldPosition.y / 100.0);
-
-      if (h < 0.05) {
-        return "desert";
-      } else if (m > 0.5) {
-        return "forest";
-      } else {
-        return "arid";
-      }
+    // Tree and rock shares of the scenery at a world position, the rest
+    // being bushes, from the scenery of the terrain's biome there in
+    // resources/biomes.json. Null where the biome has none.
+    _GetScenery(worldPosition) {
+      const sample = this._terrainManager.GetSurfacePointAt(worldPosition);
+      const biome = this._terrainManager.GetBiome(sample);
+      return biome ? biome.scenery : null;
     }
 
     Update() {
@@ -570,32 +453,15 @@ export const scenery_controller = (function () {
         const chunkCenter = new THREE.Vector3();
         chunk.bounds.getCenter(chunkCenter);
 
-        // Apply transform to get world space center for distance check
-        const worldCenter = chunkCenter.clone();
-        worldCenter.applyMatrix4(chunk.transform);
-        worldCenter.normalize();
-
-        if (this._shape === "ring") {
-          // Project onto ring geometry
-          const _D = worldCenter.clone();
-          const _EquatorDir = new THREE.Vector3(_D.x, 0, _D.z);
-          if (_EquatorDir.lengthSq() < 1e-8) {
-            _EquatorDir.set(1, 0, 0);
-          } else {
-            _EquatorDir.normalize();
-          }
-
-          const ringRadius = this._radius;
-          const verticalOffset = _D.y * ringRadius;
-
-          worldCenter.copy(_EquatorDir).multiplyScalar(ringRadius);
-          worldCenter.y = verticalOffset;
-          worldCenter.add(this._center);
-        } else {
-          // For planet, scale by radius and add center
-          worldCenter.multiplyScalar(this._radius);
-          worldCenter.add(this._center);
-        }
+        // World space center through the chunk's root, for the distance check
+        const worldCenter = this._terrainManager.GetChunkDirection(
+          chunkCenter.x,
+          chunkCenter.y,
+          chunk.transform
+        );
+        worldCenter.copy(
+          this._terrainManager.GetSurfacePoint(worldCenter).base
+        );
 
         // Early distance check - skip chunk if too far from camera
         const distanceToChunkCenter = cameraPosition.distanceTo(worldCenter);
@@ -650,41 +516,27 @@ export const scenery_controller = (function () {
           sceneryAttemptedThisFrame++;
           // Generate random position within chunk bounds (in local space)
           const localX = (seededRandom() - 0.5) * chunkSize;
-          const localY = (seededRandom() - 0.5) * chunkSize;
+          const localY = (seededRandom() - 0.5) * dimensions.y; // Ring chunks may be narrower
           const localZ = 0; // Chunk is on a plane
 
           // Create local position
           const localPos = new THREE.Vector3(localX, localY, localZ);
           localPos.add(chunkCenter);
 
-          // Transform to world space
-          const worldPos = localPos.clone();
-          worldPos.applyMatrix4(chunk.transform);
-
-          // Project onto surface (sphere or ring)
-          worldPos.normalize();
-
-          if (this._shape === "ring") {
-            // Project onto ring geometry
-            const _D = worldPos.clone();
-            const _EquatorDir = new THREE.Vector3(_D.x, 0, _D.z);
-            if (_EquatorDir.lengthSq() < 1e-8) {
-              _EquatorDir.set(1, 0, 0);
-            } else {
-              _EquatorDir.normalize();
-            }
-
-            const ringRadius = this._radius;
-            const verticalOffset = _D.y * ringRadius;
-
-            worldPos.copy(_EquatorDir).multiplyScalar(ringRadius);
-            worldPos.y = verticalOffset;
-            worldPos.add(this._center);
-          } else {
-            // For planet, scale by radius and add center
-            worldPos.multiplyScalar(this._radius);
-            worldPos.add(this._center);
+          // Map through the chunk's root (cube face or ring floor)
+          const direction = this._terrainManager.GetChunkDirection(
+            localPos.x,
+            localPos.y,
+            chunk.transform
+          );
+
+          // Project onto surface (sphere or ring), skipping any gaps in a
+          // partial ring
+          const surface = this._terrainManager.GetSurfacePoint(direction);
+          if (!this._terrainManager.GetHeightSampler().HasSurface(surface)) {
+            continue;
           }
+          const worldPos = surface.base;
 
           // Round to grid for stable position key
           const gridX =
@@ -715,17 +567,21 @@ export const scenery_controller = (function () {
           }
 
           // Get terrain height at this position
-          const terrainPosition = this._GetTerrainHeight(worldPos);
+          const terrainPosition = this._GetTerrainPosition(direction);
 
-          // Determine which type of scenery to spawn based on ratios
+          // Determine which type of scenery to spawn based on the biome
+          const ratios = this._GetScenery(terrainPosition);
           const rand = seededRandom();
+          if (!ratios) {
+            continue;
+          }
           let scenery;
           let sceneryType;
 
-          if (rand < this._treeRatio) {
+          if (rand < ratios.tree) {
             scenery = this._CreateTree(terrainPosition);
             sceneryType = "tree";
-          } else if (rand < this._treeRatio + this._rockRatio) {
+          } else if (rand < ratios.tree + ratios.rock) {
             scenery = this._CreateRock(terrainPosition);
             sceneryType = "rock";
           } else {
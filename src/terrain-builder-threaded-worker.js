@@ -1,12 +1,27 @@
 import * as THREE from "https://cdn.jsdelivr.net/npm/three@0.181.0/build/three.module.js";
 
+import { biomes } from "./biomes.js";
+import { climate } from "./climate.js";
+import { land_map } from "./land-map.js";
 import { noise } from "./noise.js";
+import { terrain_constants } from "./terrain-constants.js";
+import { terrain_height } from "./terrain-height.js";
 import { texture_splatter } from "./texture-splatter.js";
+import { utils } from "./utils.js";
+
+// Erosion detail is finer than the vertices of coarse chunks, so fade it out
+// between one and two erosion cells per vertex.
+function _ErosionWeight(spacing) {
+  return Math.min(
+    1.0,
+    Math.max(0.0, 2.0 - spacing / terrain_constants.EROSION_CELL_SIZE)
+  );
+}
 
 class _TerrainBuilderThreadedWorker {
   constructor() {}
 
-  Init(params) {
+  Init(params, biomeSet, landMap) {
     this._params = params;
     this._params.offset = new THREE.Vector3(
       params.offset[0],
@@ -20,26 +35,153 @@ class _TerrainBuilderThreadedWorker {
     );
     this._params.shape = params.shape || "planet";
     this._params.shapeParams = Object.assign({}, params.shapeParams || {});
-    this._params.noise = new noise.Noise(params.noiseParams);
-    this._params.heightGenerators = [
-      new texture_splatter.HeightGenerator(
-        this._params.noise,
-        params.offset,
-        params.heightGeneratorsParams.min,
-        params.heightGeneratorsParams.max
-      ),
-    ];
-
-    this._params.biomeGenerator = new noise.Noise(params.biomesParams);
+    this._params.heightGenerator = new texture_splatter.LayeredHeightGenerator(
+      params.noiseParams
+    );
+
+    this._params.climate = new climate.ClimateModel({
+      shape: this._params.shape,
+      climateParams: params.climateParams,
+      moistureParams: params.biomesParams,
+    });
     this._params.colourNoise = new noise.Noise(params.colourNoiseParams);
     this._params.colourGenerator = new texture_splatter.TextureSplatter({
-      biomeGenerator: this._params.biomeGenerator,
+      biomes: biomeSet,
       colourNoise: this._params.colourNoise,
     });
+
+    const spacing = params.width / params.resolution;
+    const erosionWeight = _ErosionWeight(spacing);
+
+    // Skirts have to cover the height difference against a neighbour of
+    // another size, which may have faded its erosion differently.
+    const erosion = params.erosionParams || {};
+    this._params.skirtDepth =
+      spacing * terrain_constants.SKIRT_DEPTH +
+      (erosion.hydraulic > 0.0 || erosion.thermal > 0.0
+        ? terrain_constants.EROSION_MAX_DEPTH
+        : 0.0);
+
+    this._params.sampler = new terrain_height.TerrainHeightSampler({
+      radius: params.radius,
+      center: this._params.center,
+      shape: this._params.shape,
+      shapeParams: this._params.shapeParams,
+      heightParams: params.noiseParams,
+      erosionParams: params.erosionParams,
+      erosionWeight: erosionWeight,
+      heightGenerator: this._params.heightGenerator,
+      landMap: landMap,
+    });
+
+    // The parent chunk has twice the spacing, so it may fade erosion more.
+    // Only needs its own sampler when it does.
+    const parentErosionWeight = _ErosionWeight(spacing * 2.0);
+    this._params.parentSampler =
+      parentErosionWeight != erosionWeight
+        ? new terrain_height.TerrainHeightSampler({
+            radius: params.radius,
+            center: this._params.center,
+            shape: this._params.shape,
+            shapeParams: this._params.shapeParams,
+            heightParams: params.noiseParams,
+            erosionParams: params.erosionParams,
+            erosionWeight: parentErosionWeight,
+            heightGenerator: this._params.heightGenerator,
+            landMap: landMap,
+          })
+        : null;
   }
 
-  _GenerateHeight(v) {
-    return this._params.heightGenerators[0].Get(v.x, v.y, v.z)[0];
+  // Position of every vertex on the parent chunk's surface, for morphing.
+  // Vertices on even rows and columns are parent vertices, or on even
+  // columns alone where the parent was halved along its length; the rest
+  // lie on a parent edge or diagonal, so take the middle of its two ends.
+  _MorphPositions(positions, directions) {
+    const resolution = this._params.resolution;
+    const row = resolution + 1;
+    const parent = positions.slice();
+    if (resolution % 2 != 0) {
+      return parent;
+    }
+    const rowStep = this._params.halved ? 1 : 2;
+
+    if (this._params.parentSampler) {
+      const _P = new THREE.Vector3();
+      const sample = this._params.parentSampler.NewSample();
+      for (let x = 0; x <= resolution; x += 2) {
+        for (let y = 0; y <= resolution; y += rowStep) {
+          const v = x * row + y;
+          _P.fromArray(directions, v * 3);
+          this._params.parentSampler.SampleDirection(_P, sample);
+          _P.copy(sample.position).sub(this._params.origin);
+          parent[v * 3] = _P.x;
+          parent[v * 3 + 1] = _P.y;
+          parent[v * 3 + 2] = _P.z;
+        }
+      }
+    }
+
+    const morph = parent.slice();
+    for (let x = 0; x <= resolution; x++) {
+      for (let y = 0; y <= resolution; y++) {
+        const dx = x % 2;
+        const dy = y % rowStep;
+        if (dx == 0 && dy == 0) {
+          continue;
+        }
+        const a = ((x - dx) * row + (y - dy)) * 3;
+        const b = ((x + dx) * row + (y + dy)) * 3;
+        const v = (x * row + y) * 3;
+        for (let j = 0; j < 3; j++) {
+          morph[v + j] = (parent[a + j] + parent[b + j]) * 0.5;
+        }
+      }
+    }
+    return morph;
+  }
+
+  // Hangs a strip of triangles down from every open edge of the chunk, so
+  // T-junction cracks against neighbours of another size (or on another
+  // cube face) show skirt instead of background. Skirt vertices copy the
+  // edge vertex's attributes, so they shade and splat like the edge.
+  // Positions in displaced are moved down along up, the rest are copied.
+  _AddSkirts(indices, up, displaced, copied) {
+    const depth = this._params.skirtDepth;
+    const _P = new THREE.Vector3();
+    const _D = new THREE.Vector3();
+    const vertexCount = up.length / 3;
+    const strides = copied.map((a) => a.length / vertexCount);
+
+    const skirts = new Map();
+    const _Skirt = (v) => {
+      if (!skirts.has(v)) {
+        skirts.set(v, up.length / 3);
+
+        _D.fromArray(up, v * 3);
+        for (const positions of displaced) {
+          _P.fromArray(positions, v * 3).addScaledVector(_D, -depth);
+          positions.push(_P.x, _P.y, _P.z);
+        }
+        up.push(_D.x, _D.y, _D.z);
+
+        for (let i = 0; i < copied.length; i++) {
+          const stride = strides[i];
+          for (let j = 0; j < stride; j++) {
+            copied[i].push(copied[i][v * stride + j]);
+          }
+        }
+      }
+      return skirts.get(v);
+    };
+
+    // Same winding as the edge's triangle, so the skirt faces outward
+    for (const [a, b] of utils.BoundaryEdges(indices)) {
+      const sa = _Skirt(a);
+      const sb = _Skirt(b);
+      indices.push(a, sa, sb);
+      indices.push(a, sb, b);
+    }
   }
 
   Rebuild() {
@@ -47,139 +189,74 @@ class _TerrainBuilderThreadedWorker {
     const _D1 = new THREE.Vector3();
     const _D2 = new THREE.Vector3();
     const _P = new THREE.Vector3();
-    const _H = new THREE.Vector3();
     const _W = new THREE.Vector3();
     const _S = new THREE.Vector3();
-    const _C = new THREE.Vector3();
 
     const _N = new THREE.Vector3();
     const _N1 = new THREE.Vector3();
     const _N2 = new THREE.Vector3();
     const _N3 = new THREE.Vector3();
-    const _EquatorDir = new THREE.Vector3();
-    const _RadialDir = new THREE.Vector3();
+    const _sample = this._params.sampler.NewSample();
+    const _climate = this._params.climate.NewClimate();
 
     const positions = [];
     const colors = [];
     const up = [];
-    const coords = [];
-    const uvs = [];
-    const weights1 = [];
-    const weights2 = [];
     const indices = [];
     const wsPositions = [];
-    const latitudes = [];
-    const ringHeightMask = [];
+    const climates = [];
+    const directions = [];
+    const clamped = [];
 
     const localToWorld = this._params.worldMatrix;
     const resolution = this._params.resolution;
-    const radius = this._params.radius;
     const offset = this._params.offset;
     const origin = this._params.origin;
     const width = this._params.width;
     const half = width / 2;
-    const center = this._params.center;
-    const shape = this._params.shape || "planet";
-    const shapeParams = this._params.shapeParams || {};
-    const isRing = shape === "ring";
-    const latCutoff =
-      shapeParams.latCutoff !== undefined ? shapeParams.latCutoff : 0.3;
-    const latFade =
-      shapeParams.latFade !== undefined ? shapeParams.latFade : 0.2;
-    const dropExponent =
-      shapeParams.dropExponent !== undefined ? shapeParams.dropExponent : 1.5;
-    const cullLatitude =
-      shapeParams.cullLatitude !== undefined
-        ? shapeParams.cullLatitude
-        : Math.min(0.95, latCutoff + latFade * 0.9);
-    const latCutoffClamped = Math.max(0.0, Math.min(1.0, latCutoff));
-    const latFadeSafe = Math.max(1e-5, latFade);
-    const cullLatitudeLimit = isRing
-      ? Math.max(0.0, Math.min(1.0, cullLatitude))
-      : Infinity;
+
+    // Ring chunks may be longer (x) than they're wide (y)
+    const chunkHeight = this._params.height;
+    const halfHeight = chunkHeight / 2;
+    const isRing = this._params.shape === "ring";
 
     for (let x = 0; x < resolution + 1; x++) {
       const xp = (width * x) / resolution;
       for (let y = 0; y < resolution + 1; y++) {
-        const yp = (width * y) / resolution;
-
-        // Compute position
-        _P.set(xp - half, yp - half, radius);
-        _P.add(offset);
-        _P.normalize();
-
-        _P.multiplyScalar(radius);
-        _P.z -= radius;
-        _P.applyMatrix4(localToWorld);
-
-        let latitudeValue = 0.0;
-        if (_P.lengthSq() > 0.0) {
-          _D.copy(_P).normalize();
-          latitudeValue = Math.abs(_D.y);
-        } else {
-          _D.set(0, 1, 0);
-        }
-
-        let heightMask = 1.0;
-        if (isRing) {
-          _EquatorDir.set(_D.x, 0, _D.z);
-          if (_EquatorDir.lengthSq() < 1e-8) {
-            _EquatorDir.set(1, 0, 0);
-          } else {
-            _EquatorDir.normalize();
-          }
+        const yp = (chunkHeight * y) / resolution;
 
-          const blendRaw = Math.min(
-            1.0,
-            Math.max(0.0, (latitudeValue - latCutoffClamped) / latFadeSafe)
-          );
-          heightMask = 1.0 - Math.pow(blendRaw, dropExponent);
+        // Direction under the vertex, on a cube face or the ring's cylinder
+        this._params.sampler.LocalDirection(
+          xp - half + offset.x,
+          yp - halfHeight + offset.y,
+          localToWorld,
+          _P
+        );
 
-          const ringRadius = radius;
-          const verticalOffset = _D.y * ringRadius;
+        // A partial ring's columns over a gap fold onto its end caps
+        clamped.push(this._params.sampler.ClampDirection(_P));
 
-          _RadialDir.copy(_EquatorDir);
+        // Project onto the planet or ring and purturb height along the
+        // surface up vector
+        this._params.sampler.SampleDirection(_P, _sample);
+        directions.push(_P.x, _P.y, _P.z);
 
-          _P.copy(_RadialDir).multiplyScalar(ringRadius);
-          _P.y = verticalOffset;
-
-          _D.copy(_RadialDir).negate();
-        }
-
-        latitudes.push(latitudeValue);
-        ringHeightMask.push(heightMask);
-
-        _P.add(center);
+        const height = _sample.height;
+        _D.copy(_sample.up);
 
         // Keep the absolute world space position to sample noise
-        _W.copy(_P);
+        _W.copy(_sample.base);
 
         // Move the position relative to the origin
+        _P.copy(_sample.position);
         _P.sub(origin);
 
-        // Purturb height along z-vector
-        let height = this._GenerateHeight(_W);
-        if (isRing) {
-          height *= heightMask;
-        }
-        _H.copy(_D);
-        _H.multiplyScalar(height);
-        _P.add(_H);
-
         positions.push(_P.x, _P.y, _P.z);
 
-        _C.copy(_W);
-        _C.add(_H);
-        coords.push(_C.x, _C.y, _C.z);
-
-        _S.set(_W.x, _W.y, height);
-
-        const color = this._params.colourGenerator.GetColour(_S);
-        colors.push(color.r, color.g, color.b);
         up.push(_D.x, _D.y, _D.z);
         wsPositions.push(_W.x, _W.y, height);
-        // TODO GUI
-        uvs.push(_P.x / 200.0, _P.y / 200.0);
+        this._params.climate.Get(_sample, _climate);
+        climates.push(_climate.temperature, _climate.moisture);
       }
     }
 
@@ -191,26 +268,9 @@ class _TerrainBuilderThreadedWorker {
         const v10 = (i + 1) * row + j;
         const v11 = v10 + 1;
 
-        if (isRing) {
-          const latMax = Math.max(
-            latitudes[v00],
-            latitudes[v01],
-            latitudes[v10],
-            latitudes[v11]
-          );
-          if (latMax > cullLatitudeLimit) {
-            continue;
-          }
-
-          const maskMin = Math.min(
-            ringHeightMask[v00],
-            ringHeightMask[v01],
-            ringHeightMask[v10],
-            ringHeightMask[v11]
-          );
-          if (maskMin <= 0.0) {
-            continue;
-          }
+        // Folded over the gap, all four make no area
+        if (clamped[v00] && clamped[v01] && clamped[v10] && clamped[v11]) {
+          continue;
         }
 
         if (isRing) {
@@ -259,184 +319,226 @@ class _TerrainBuilderThreadedWorker {
       normals[i + 2] = _N.z;
     }
 
-    for (let i = 0, n = indices.length; i < n; i += 3) {
-      const splats = [];
-      const i1 = indices[i] * 3;
-      const i2 = indices[i + 1] * 3;
-      const i3 = indices[i + 2] * 3;
-      const indexes = [i1, i2, i3];
-      for (let j = 0; j < 3; j++) {
-        const j1 = indexes[j];
-        _P.fromArray(wsPositions, j1);
-        _N.fromArray(normals, j1);
-        _D.fromArray(up, j1);
-        const s = this._params.colourGenerator.GetSplat(_P, _N, _D);
-        splats.push(s);
-      }
+    // Colours need the normals, so cliffs pick up their own colour
+    for (let i = 0, n = wsPositions.length; i < n; i += 3) {
+      _S.fromArray(wsPositions, i);
+      _N.fromArray(normals, i);
+      _D.fromArray(up, i);
+      _climate.temperature = climates[(i / 3) * 2];
+      _climate.moisture = climates[(i / 3) * 2 + 1];
+      const color = this._params.colourGenerator.GetColour(
+        _S,
+        _N,
+        _D,
+        _climate
+      );
+      colors.push(color.r, color.g, color.b);
+    }
 
-      const splatStrengths = {};
-      for (let k in splats[0]) {
-        splatStrengths[k] = { key: k, strength: 0.0 };
-      }
-      for (let curSplat of splats) {
-        for (let k in curSplat) {
-          splatStrengths[k].strength += curSplat[k].strength;
-        }
-      }
+    const morphPositions = this._MorphPositions(positions, directions);
 
-      let typeValues = Object.values(splatStrengths);
-      typeValues.sort((a, b) => {
-        if (a.strength < b.strength) {
-          return 1;
-        }
-        if (a.strength > b.strength) {
-          return -1;
-        }
-        return 0;
-      });
+    this._AddSkirts(
+      indices,
+      up,
+      [positions, morphPositions],
+      [normals, colors, wsPositions, climates]
+    );
 
-      const w1 = indices[i] * 4;
-      const w2 = indices[i + 1] * 4;
-      const w3 = indices[i + 2] * 4;
-
-      for (let s = 0; s < 3; s++) {
-        let total =
-          splats[s][typeValues[0].key].strength +
-          splats[s][typeValues[1].key].strength +
-          splats[s][typeValues[2].key].strength +
-          splats[s][typeValues[3].key].strength;
-        const normalization = 1.0 / total;
-
-        splats[s][typeValues[0].key].strength *= normalization;
-        splats[s][typeValues[1].key].strength *= normalization;
-        splats[s][typeValues[2].key].strength *= normalization;
-        splats[s][typeValues[3].key].strength *= normalization;
+    // Every texture slot's weight at each vertex, in bytes. The shader
+    // keeps the strongest four of whatever it interpolates.
+    const vertexCount = up.length / 3;
+    const slots = biomes.MAX_TEXTURES;
+    const splats = new Uint8Array(vertexCount * slots);
+    for (let v = 0; v < vertexCount; v++) {
+      _P.fromArray(wsPositions, v * 3);
+      _N.fromArray(normals, v * 3);
+      _D.fromArray(up, v * 3);
+      _climate.temperature = climates[v * 2];
+      _climate.moisture = climates[v * 2 + 1];
+      const s = this._params.colourGenerator.GetSplat(_P, _N, _D, _climate);
+
+      let total = 0.0;
+      for (let k in s) {
+        total += s[k].strength;
+      }
+      for (let k in s) {
+        splats[v * slots + s[k].index] = Math.round(
+          (s[k].strength / total) * 255.0
+        );
       }
-
-      weights1.push(splats[0][typeValues[3].key].index);
-      weights1.push(splats[0][typeValues[2].key].index);
-      weights1.push(splats[0][typeValues[1].key].index);
-      weights1.push(splats[0][typeValues[0].key].index);
-
-      weights1.push(splats[1][typeValues[3].key].index);
-      weights1.push(splats[1][typeValues[2].key].index);
-      weights1.push(splats[1][typeValues[1].key].index);
-      weights1.push(splats[1][typeValues[0].key].index);
-
-      weights1.push(splats[2][typeValues[3].key].index);
-      weights1.push(splats[2][typeValues[2].key].index);
-      weights1.push(splats[2][typeValues[1].key].index);
-      weights1.push(splats[2][typeValues[0].key].index);
-
-      weights2.push(splats[0][typeValues[3].key].strength);
-      weights2.push(splats[0][typeValues[2].key].strength);
-      weights2.push(splats[0][typeValues[1].key].strength);
-      weights2.push(splats[0][typeValues[0].key].strength);
-
-      weights2.push(splats[1][typeValues[3].key].strength);
-      weights2.push(splats[1][typeValues[2].key].strength);
-      weights2.push(splats[1][typeValues[1].key].strength);
-      weights2.push(splats[1][typeValues[0].key].strength);
-
-      weights2.push(splats[2][typeValues[3].key].strength);
-      weights2.push(splats[2][typeValues[2].key].strength);
-      weights2.push(splats[2][typeValues[1].key].strength);
-      weights2.push(splats[2][typeValues[0].key].strength);
     }
 
-    function _Unindex(src, stride) {
-      const dst = [];
-      for (let i = 0, n = indices.length; i < n; i += 3) {
-        const i1 = indices[i] * stride;
-        const i2 = indices[i + 1] * stride;
-        const i3 = indices[i + 2] * stride;
+    // Positions and morph positions share one box and are stored as int16
+    // in [-1, 1] across it. The chunk's mesh transform scales them back.
+    const box = new THREE.Box3();
+    for (const a of [positions, morphPositions]) {
+      for (let i = 0, n = a.length; i < n; i += 3) {
+        box.expandByPoint(_P.fromArray(a, i));
+      }
+    }
+    const boxCenter = box.getCenter(new THREE.Vector3());
+    const boxScale = box.getSize(new THREE.Vector3()).multiplyScalar(0.5);
+    boxScale.max(new THREE.Vector3(1e-3, 1e-3, 1e-3));
+
+    function _QuantizePositions(src) {
+      const dst = new Int16Array(src.length);
+      const c = boxCenter.toArray();
+      const s = boxScale.toArray();
+      for (let i = 0, n = src.length; i < n; i++) {
+        const j = i % 3;
+        dst[i] = Math.round(((src[i] - c[j]) / s[j]) * 32767.0);
+      }
+      return dst;
+    }
 
-        for (let j = 0; j < stride; j++) {
-          dst.push(src[i1 + j]);
-        }
-        for (let j = 0; j < stride; j++) {
-          dst.push(src[i2 + j]);
-        }
-        for (let j = 0; j < stride; j++) {
-          dst.push(src[i3 + j]);
-        }
+    function _QuantizeSigned(src) {
+      const dst = new Int8Array(src.length);
+      for (let i = 0, n = src.length; i < n; i++) {
+        dst[i] = Math.round(Math.min(Math.max(src[i], -1.0), 1.0) * 127.0);
       }
       return dst;
     }
 
-    const uiPositions = _Unindex(positions, 3);
-    const uiColours = _Unindex(colors, 3);
-    const uiNormals = _Unindex(normals, 3);
-    const uiCoords = _Unindex(coords, 3);
-    const uiUVs = _Unindex(uvs, 2);
-    const uiWeights1 = weights1;
-    const uiWeights2 = weights2;
-
-    const bytesInFloat32 = 4;
-    const positionsArray = new Float32Array(
-      new ArrayBuffer(bytesInFloat32 * uiPositions.length)
-    );
-    const coloursArray = new Float32Array(
-      new ArrayBuffer(bytesInFloat32 * uiColours.length)
-    );
-    const normalsArray = new Float32Array(
-      new ArrayBuffer(bytesInFloat32 * uiNormals.length)
-    );
-    const coordsArray = new Float32Array(
-      new ArrayBuffer(bytesInFloat32 * uiCoords.length)
-    );
-    const uvsArray = new Float32Array(
-      new ArrayBuffer(bytesInFloat32 * uiUVs.length)
-    );
-    const weights1Array = new Float32Array(
-      new ArrayBuffer(bytesInFloat32 * uiWeights2.length)
-    );
-    const weights2Array = new Float32Array(
-      new ArrayBuffer(bytesInFloat32 * uiWeights2.length)
-    );
+    function _QuantizeUnsigned(src) {
+      const dst = new Uint8Array(src.length);
+      for (let i = 0, n = src.length; i < n; i++) {
+        dst[i] = Math.round(Math.min(Math.max(src[i], 0.0), 1.0) * 255.0);
+      }
+      return dst;
+    }
 
-    positionsArray.set(uiPositions, 0);
-    coloursArray.set(uiColours, 0);
-    normalsArray.set(uiNormals, 0);
-    uvsArray.set(uiUVs, 0);
-    coordsArray.set(uiCoords, 0);
-    weights1Array.set(uiWeights1, 0);
-    weights2Array.set(uiWeights2, 0);
+    const indicesArray =
+      vertexCount <= 65536
+        ? new Uint16Array(indices)
+        : new Uint32Array(indices);
 
     return {
-      positions: positionsArray,
-      colours: coloursArray,
-      uvs: uvsArray,
-      normals: normalsArray,
-      coords: coordsArray,
-      weights1: weights1Array,
-      weights2: weights2Array,
+      indices: indicesArray,
+      positions: _QuantizePositions(positions),
+      morphPositions: _QuantizePositions(morphPositions),
+      normals: _QuantizeSigned(normals),
+      colours: _QuantizeUnsigned(colors),
+      splats: splats,
+      offset: boxCenter.toArray(),
+      scale: boxScale.toArray(),
     };
   }
 }
 
 const _CHUNK = new _TerrainBuilderThreadedWorker();
 
-self.onmessage = (msg) => {
+// Fetches of the land map tried before a chunk is built without it, waiting
+// twice as long after each, in milliseconds
+const _LAND_MAP_ATTEMPTS = 3;
+const _LAND_MAP_RETRY_DELAY = 250;
+
+async function _LoadLandMap(url) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await land_map.Load(url);
+    } catch (err) {
+      if (attempt >= _LAND_MAP_ATTEMPTS) {
+        throw err;
+      }
+    }
+    await new Promise((resolve) => {
+      setTimeout(resolve, _LAND_MAP_RETRY_DELAY * 2 ** (attempt - 1));
+    });
+  }
+}
+
+// An erosion tile for the main thread's sampler, which doesn't simulate
+// its own
+function _BuildErosionTile(params, landMap) {
+  const sampler = new terrain_height.TerrainHeightSampler({
+    radius: params.radius,
+    center: new THREE.Vector3(...params.center),
+    shape: params.shape,
+    shapeParams: params.shapeParams,
+    heightParams: params.noiseParams,
+    erosionParams: params.erosionParams,
+    heightGenerator: new texture_splatter.LayeredHeightGenerator(
+      params.noiseParams
+    ),
+    landMap: landMap,
+  });
+  const { version, tile } = sampler.BuildErosionTile(
+    params.face,
+    params.tx,
+    params.ty
+  );
+  return {
+    version: version,
+    face: params.face,
+    tx: params.tx,
+    ty: params.ty,
+    tile: tile,
+  };
+}
+
+self.onmessage = async (msg) => {
   if (msg.data.subject == "build_chunk") {
-    _CHUNK.Init(msg.data.params);
-
-    const rebuiltData = _CHUNK.Rebuild();
-    
-    // Extract ArrayBuffers for transfer list (transfer ownership efficiently)
-    const transferList = [
-      rebuiltData.positions.buffer,
-      rebuiltData.colours.buffer,
-      rebuiltData.normals.buffer,
-      rebuiltData.coords.buffer,
-      rebuiltData.uvs.buffer,
-      rebuiltData.weights1.buffer,
-      rebuiltData.weights2.buffer,
-    ];
-    
-    self.postMessage(
-      { subject: "build_chunk_result", data: rebuiltData },
-      transferList
-    );
+    // The pool waits for a reply from every job, so report failures too
+    try {
+      const biomeSet = await biomes.Load(msg.data.params.biomesUrl);
+
+      // Goes without the land map if it won't load, as the main thread
+      // does, but the builder doesn't cache the chunk and builds it again
+      let landMap = null;
+      let withoutLandMap = false;
+      const landMapUrl = (msg.data.params.shapeParams || {}).landMap;
+      if (landMapUrl) {
+        try {
+          landMap = await _LoadLandMap(landMapUrl);
+        } catch (err) {
+          console.error("Failed to load land map, building without it", err);
+          withoutLandMap = true;
+        }
+      }
+
+      _CHUNK.Init(msg.data.params, biomeSet, landMap);
+
+      const rebuiltData = _CHUNK.Rebuild();
+
+      // Extract ArrayBuffers for transfer list (transfer ownership efficiently)
+      const transferList = [
+        rebuiltData.indices.buffer,
+        rebuiltData.positions.buffer,
+        rebuiltData.morphPositions.buffer,
+        rebuiltData.colours.buffer,
+        rebuiltData.normals.buffer,
+        rebuiltData.splats.buffer,
+      ];
+
+      self.postMessage(
+        {
+          subject: "build_chunk_result",
+          data: rebuiltData,
+          withoutLandMap: withoutLandMap,
+        },
+        transferList
+      );
+    } catch (err) {
+      console.error("Failed to build terrain chunk", err);
+      self.postMessage({ subject: "build_chunk_error", error: String(err) });
+    }
+  } else if (msg.data.subject == "build_erosion_tile") {
+    try {
+      const params = msg.data.params;
+      const landMapUrl = (params.shapeParams || {}).landMap;
+      const landMap = landMapUrl ? await _LoadLandMap(landMapUrl) : null;
+
+      const data = _BuildErosionTile(params, landMap);
+      self.postMessage({ subject: "build_erosion_tile_result", data: data }, [
+        data.tile.hydraulic.buffer,
+        data.tile.thermal.buffer,
+      ]);
+    } catch (err) {
+      console.error("Failed to build erosion tile", err);
+      self.postMessage({
+        subject: "build_erosion_tile_error",
+        error: String(err),
+      });
+    }
   }
 };
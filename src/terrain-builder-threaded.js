@@ -1,8 +1,64 @@
+import { terrain_cache } from "./terrain-cache.js";
 import { terrain_chunk } from "./terrain-chunk.js";
 
 export const terrain_builder_threaded = (function () {
   const _NUM_WORKERS = 7;
 
+  // Retired chunks kept per resolution for reuse, beyond which they're
+  // destroyed so flying away from the surface gives the memory back
+  const _MAX_POOLED = 256;
+
+  // Memory budget for built chunks kept around for when the camera returns
+  const _CACHE_BYTES = 64 * 1024 * 1024;
+
+  // Times a chunk whose build failed goes back on the queue before it's
+  // given up on, e.g. while the biome definitions can't be fetched, waiting
+  // twice as long each time, in milliseconds
+  const _MAX_RETRIES = 3;
+  const _RETRY_DELAY = 500;
+
+  function _BuildMessage(params) {
+    return {
+      subject: "build_chunk",
+      params: {
+        noiseParams: params.noiseParams,
+        erosionParams: params.erosionParams,
+        climateParams: params.climateParams,
+        colourNoiseParams: params.colourNoiseParams,
+        biomesParams: params.biomesParams,
+        colourGeneratorParams: params.colourGeneratorParams,
+        biomesUrl: params.biomesUrl,
+        versions: params.versions,
+        width: params.width,
+        height: params.height,
+        halved: params.halved,
+        offset: [params.offset.x, params.offset.y, params.offset.z],
+        origin: params.origin,
+        radius: params.radius,
+        center: [params.center.x, params.center.y, params.center.z],
+        shape: params.shape || "planet",
+        shapeParams: params.shapeParams || {},
+        resolution: params.resolution,
+        worldMatrix: params.transform,
+      },
+    };
+  }
+
+  // Built data is relative to the camera position the chunk was built from.
+  // Its box centre is the only thing that depends on it, so the cache keeps
+  // that in world space and any origin can take the data.
+  function _MoveOrigin(data, from, to) {
+    return Object.assign({}, data, {
+      offset: [
+        data.offset[0] + from.x - to.x,
+        data.offset[1] + from.y - to.y,
+        data.offset[2] + from.z - to.z,
+      ],
+    });
+  }
+
+  const _WORLD_ORIGIN = { x: 0, y: 0, z: 0 };
+
   let _IDs = 0;
 
   class WorkerThread {
@@ -47,9 +103,42 @@ export const terrain_builder_threaded = (function () {
       return this._queue.length > 0 || Object.keys(this._busy).length > 0;
     }
 
-    Enqueue(workItem, resolve) {
-      this._queue.push([workItem, resolve]);
+    // Jobs with the lowest priority() run first. It's asked again whenever a
+    // worker frees up, so the order keeps up with the camera. Returns the job,
+    // for Cancel.
+    Enqueue(workItem, resolve, priority) {
+      const job = {
+        workItem: workItem,
+        resolve: resolve,
+        priority: priority || (() => 0),
+        cancelled: false,
+      };
+      this._queue.push(job);
       this._PumpQueue();
+      return job;
+    }
+
+    // Drops a queued job. One already running can't be stopped, but its
+    // result is thrown away.
+    Cancel(job) {
+      job.cancelled = true;
+      const i = this._queue.indexOf(job);
+      if (i >= 0) {
+        this._queue.splice(i, 1);
+      }
+    }
+
+    _NextJob() {
+      let best = 0;
+      let bestPriority = Infinity;
+      for (let i = 0; i < this._queue.length; i++) {
+        const p = this._queue[i].priority();
+        if (p < bestPriority) {
+          best = i;
+          bestPriority = p;
+        }
+      }
+      return this._queue.splice(best, 1)[0];
     }
 
     _PumpQueue() {
@@ -57,12 +146,14 @@ export const terrain_builder_threaded = (function () {
         const w = this._free.pop();
         this._busy[w.id] = w;
 
-        const [workItem, workResolve] = this._queue.shift();
+        const job = this._NextJob();
 
-        w.postMessage(workItem, (v) => {
+        w.postMessage(job.workItem, (v) => {
           delete this._busy[w.id];
           this._free.push(w);
-          workResolve(v);
+          if (!job.cancelled) {
+            job.resolve(v);
+          }
           this._PumpQueue();
         });
       }
@@ -73,6 +164,21 @@ export const terrain_builder_threaded = (function () {
     constructor(params) {
       this._pool = {};
       this._old = [];
+      this._jobs = new Map();
+      this._lookups = 0;
+      this._retries = 0;
+
+      // Chunks given up on, or built without the land map, are built again
+      // by the next Rebuild, or once another chunk builds in full
+      this._failed = new Set();
+      this._cache = new terrain_cache.ChunkCache({
+        maxBytes: _CACHE_BYTES,
+        cacheParams: params.cacheParams,
+      });
+
+      // Bumped by every Rebuild. A chunk never takes a result older than the
+      // geometry it already shows.
+      this._generation = 0;
 
       this._workerPool = new WorkerThreadPool(
         _NUM_WORKERS,
@@ -82,78 +188,217 @@ export const terrain_builder_threaded = (function () {
       this._params = params;
     }
 
-    _OnResult(chunk, msg) {
+    _OnResult(chunk, msg, generation) {
       if (msg.subject == "build_chunk_result") {
+        if (generation < chunk._generation) {
+          return;
+        }
+        chunk._generation = generation;
         chunk.RebuildMeshFromData(msg.data);
         chunk.Show();
       }
     }
 
+    // Chunk buffers are sized by resolution, not width, so any retired
+    // chunk of the same resolution can take the new one's place
     AllocateChunk(params) {
-      const w = params.width;
+      const r = params.resolution;
 
-      if (!(w in this._pool)) {
-        this._pool[w] = [];
+      if (!(r in this._pool)) {
+        this._pool[r] = [];
       }
 
       let c = null;
-      if (this._pool[w].length > 0) {
-        c = this._pool[w].pop();
-        c._params = params;
+      if (this._pool[r].length > 0) {
+        c = this._pool[r].pop();
+        c.Reinit(params);
       } else {
         c = new terrain_chunk.TerrainChunk(params);
       }
 
       c.Hide();
 
-      const threadedParams = {
-        noiseParams: params.noiseParams,
-        colourNoiseParams: params.colourNoiseParams,
-        biomesParams: params.biomesParams,
-        colourGeneratorParams: params.colourGeneratorParams,
-        heightGeneratorsParams: params.heightGeneratorsParams,
-        width: params.width,
-        offset: [params.offset.x, params.offset.y, params.offset.z],
-        origin: params.origin,
-        radius: params.radius,
-        center: [params.center.x, params.center.y, params.center.z],
-        shape: params.shape || "planet",
-        shapeParams: params.shapeParams || {},
-        resolution: params.resolution,
-        worldMatrix: params.transform,
-      };
+      this._Enqueue(c, _BuildMessage(params));
 
-      const msg = {
-        subject: "build_chunk",
-        params: threadedParams,
+      return c;
+    }
+
+    // Only a chunk's latest build matters, so a new one replaces whatever
+    // is still pending for it
+    _Enqueue(chunk, msg) {
+      this._CancelBuild(chunk);
+      this._failed.delete(chunk);
+
+      const generation = this._generation;
+      const key = terrain_cache.Key(msg.params);
+      const origin = msg.params.origin;
+      const _Cached = (data) => {
+        this._OnResult(
+          chunk,
+          {
+            subject: "build_chunk_result",
+            data: _MoveOrigin(data, _WORLD_ORIGIN, origin),
+          },
+          generation
+        );
       };
 
-      this._workerPool.Enqueue(msg, (m) => {
-        this._OnResult(c, m);
+      if (!this._cache.Persistent) {
+        const data = this._cache.Get(key);
+        if (data) {
+          _Cached(data);
+        } else {
+          this._Build(chunk, msg, key, generation);
+        }
+        return;
+      }
+
+      // IndexedDB answers asynchronously, so the lookup stands in for the
+      // build until then and is cancelled the same way
+      const lookup = { cancelled: false };
+      this._jobs.set(chunk, lookup);
+      this._lookups++;
+      this._cache.Load(key).then((data) => {
+        this._lookups--;
+        if (lookup.cancelled) {
+          return;
+        }
+        if (data) {
+          this._jobs.delete(chunk);
+          _Cached(data);
+        } else {
+          this._Build(chunk, msg, key, generation);
+        }
       });
+    }
 
-      return c;
+    _Build(chunk, msg, key, generation, attempt) {
+      attempt = attempt || 0;
+      const origin = msg.params.origin;
+      const job = this._workerPool.Enqueue(
+        msg,
+        (m) => {
+          this._jobs.delete(chunk);
+          if (m.subject == "build_chunk_error") {
+            if (attempt < _MAX_RETRIES) {
+              console.warn("Terrain chunk build failed, retrying", m.error);
+              this._Retry(chunk, msg, key, generation, attempt + 1);
+            } else {
+              console.error("Terrain chunk build failed, giving up", m.error);
+              this._failed.add(chunk);
+            }
+            return;
+          }
+          if (m.subject == "build_chunk_result") {
+            if (m.withoutLandMap) {
+              this._failed.add(chunk);
+            } else {
+              this._cache.Put(key, _MoveOrigin(m.data, origin, _WORLD_ORIGIN));
+              this._RebuildFailed();
+            }
+          }
+          this._OnResult(chunk, m, generation);
+        },
+        () => chunk.BuildPriority(this._params.camera.position)
+      );
+      this._jobs.set(chunk, job);
+    }
+
+    // Like the lookup, the wait stands in for the build and is cancelled the
+    // same way
+    _Retry(chunk, msg, key, generation, attempt) {
+      const wait = { cancelled: false };
+      this._jobs.set(chunk, wait);
+      this._retries++;
+      setTimeout(() => {
+        this._retries--;
+        if (!wait.cancelled) {
+          this._Build(chunk, msg, key, generation, attempt);
+        }
+      }, _RETRY_DELAY * 2 ** (attempt - 1));
+    }
+
+    // Whatever failed those chunks may have cleared up
+    _RebuildFailed() {
+      const failed = [...this._failed];
+      this._failed.clear();
+      for (let c of failed) {
+        this._Enqueue(c, _BuildMessage(c._params));
+      }
+    }
+
+    // Simulates an erosion tile in a worker, ahead of any chunk. Resolves
+    // to the worker's reply.
+    BuildErosionTile(params) {
+      return new Promise((resolve) => {
+        this._workerPool.Enqueue(
+          { subject: "build_erosion_tile", params: params },
+          resolve,
+          () => -Infinity
+        );
+      });
+    }
+
+    get CacheStats() {
+      return this._cache.Stats;
+    }
+
+    ClearCache() {
+      this._cache.Clear();
+    }
+
+    _CancelBuild(chunk) {
+      const job = this._jobs.get(chunk);
+      if (job) {
+        this._workerPool.Cancel(job);
+        this._jobs.delete(chunk);
+      }
     }
 
     RetireChunks(chunks) {
+      for (let c of chunks) {
+        this._CancelBuild(c.chunk);
+        this._failed.delete(c.chunk);
+      }
       this._old.push(...chunks);
     }
 
     _RecycleChunks(chunks) {
       for (let c of chunks) {
-        if (!(c.chunk._params.width in this._pool)) {
-          this._pool[c.chunk._params.width] = [];
+        const r = c.chunk._params.resolution;
+        if (!(r in this._pool)) {
+          this._pool[r] = [];
+        }
+
+        if (this._pool[r].length < _MAX_POOLED) {
+          c.chunk.Detach();
+          this._pool[r].push(c.chunk);
+        } else {
+          c.chunk.Destroy();
         }
+      }
+    }
 
-        c.chunk.Destroy();
+    get PooledChunks() {
+      let n = 0;
+      for (let r in this._pool) {
+        n += this._pool[r].length;
       }
+      return n;
+    }
+
+    // Chunks retired but still on show until the builder goes idle
+    get RetiredChunks() {
+      return this._old;
     }
 
     get Busy() {
-      return this._workerPool.Busy;
+      return this._workerPool.Busy || this._lookups > 0 || this._retries > 0;
     }
 
+    // Chunks keep showing their current meshes until the new ones arrive
     Rebuild(chunks, updatedParams) {
+      this._generation++;
       for (let k in chunks) {
         const chunk = chunks[k].chunk;
         const params = chunk._params;
@@ -162,6 +407,10 @@ export const terrain_builder_threaded = (function () {
         if (updatedParams) {
           if (updatedParams.noiseParams)
             params.noiseParams = updatedParams.noiseParams;
+          if (updatedParams.erosionParams)
+            params.erosionParams = updatedParams.erosionParams;
+          if (updatedParams.climateParams)
+            params.climateParams = updatedParams.climateParams;
           if (updatedParams.biomesParams)
             params.biomesParams = updatedParams.biomesParams;
           if (updatedParams.colourNoiseParams)
@@ -170,33 +419,7 @@ export const terrain_builder_threaded = (function () {
             params.colourGeneratorParams = updatedParams.colourGeneratorParams;
         }
 
-        // Format params for worker thread (same as AllocateChunk)
-        const threadedParams = {
-          noiseParams: params.noiseParams,
-          colourNoiseParams: params.colourNoiseParams,
-          biomesParams: params.biomesParams,
-          colourGeneratorParams: params.colourGeneratorParams,
-          heightGeneratorsParams: params.heightGeneratorsParams,
-          width: params.width,
-          offset: [params.offset.x, params.offset.y, params.offset.z],
-          origin: params.origin,
-          radius: params.radius,
-          center: [params.center.x, params.center.y, params.center.z],
-          shape: params.shape || "planet",
-          shapeParams: params.shapeParams || {},
-          resolution: params.resolution,
-          worldMatrix: params.transform,
-        };
-
-        const msg = {
-          subject: "build_chunk",
-          params: threadedParams,
-        };
-
-        chunk.Hide();
-        this._workerPool.Enqueue(msg, (m) => {
-          this._OnResult(chunk, m);
-        });
+        this._Enqueue(chunk, _BuildMessage(params));
       }
     }
 
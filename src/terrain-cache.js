@@ -0,0 +1,312 @@
+import { utils } from "./utils.js";
+
+export const terrain_cache = (function () {
+  // Bump whenever the worker's output changes, so chunks persisted by an
+  // older build are never handed back
+  const _VERSION = 5;
+
+  const _DB_NAME = "terrain-chunks";
+  const _STORE = "chunks";
+
+  // Persisted chunks beyond this many are pruned, least recently used first
+  const _MAX_PERSISTED = 1024;
+
+  // Puts between prunes, so a long session can't grow the store unbounded
+  const _PRUNE_INTERVAL = 256;
+
+  // Milliseconds IndexedDB hits are collected for before their new use
+  // times are written back, all in one transaction
+  const _TOUCH_DELAY = 2000;
+
+  const _ARRAYS = [
+    "indices",
+    "positions",
+    "morphPositions",
+    "normals",
+    "colours",
+    "splats",
+  ];
+
+  function _Copy(data) {
+    const copy = Object.assign({}, data);
+    for (const k of _ARRAYS) {
+      copy[k] = data[k].slice();
+    }
+    return copy;
+  }
+
+  function _Bytes(data) {
+    let bytes = 0;
+    for (const k of _ARRAYS) {
+      bytes += data[k].byteLength;
+    }
+    return bytes;
+  }
+
+  // Everything a chunk's geometry depends on, from the message the worker
+  // gets, hashed. That includes the versions of the files the worker loads,
+  // so editing one retires what was built from it. The origin only moves
+  // the data, see the builder.
+  function _Key(threadedParams) {
+    const { origin, ...rest } = threadedParams;
+    return `${_VERSION}/${utils.Hash(JSON.stringify(rest))}`;
+  }
+
+  function _Request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Least recently used cache of built chunk data, optionally backed by
+  // IndexedDB so a reload can skip the workers too. Data is copied in and
+  // out, since chunks write into their own arrays when reused.
+  class ChunkCache {
+    constructor(params) {
+      this._Init(params);
+    }
+
+    // params:
+    //  - maxBytes: memory budget
+    //  - cacheParams: live { persist } toggle for IndexedDB
+    _Init(params) {
+      this._params = params;
+      this._entries = new Map();
+      this._bytes = 0;
+      this._db = null;
+      this._dbFailed = false;
+      this._puts = 0;
+      this._touched = new Map();
+      this._stats = {
+        cachedChunks: 0,
+        hits: 0,
+        misses: 0,
+      };
+    }
+
+    get Stats() {
+      return this._stats;
+    }
+
+    // Whether Load should look in IndexedDB
+    get Persistent() {
+      const cacheParams = this._params.cacheParams;
+      return !!(cacheParams && cacheParams.persist) && this._HasDB();
+    }
+
+    _HasDB() {
+      return typeof indexedDB !== "undefined" && !this._dbFailed;
+    }
+
+    _Lookup(key) {
+      const data = this._entries.get(key);
+      if (!data) {
+        return null;
+      }
+      this._entries.delete(key);
+      this._entries.set(key, data);
+      return _Copy(data);
+    }
+
+    _Count(data) {
+      if (data) {
+        this._stats.hits++;
+      } else {
+        this._stats.misses++;
+      }
+      return data;
+    }
+
+    Get(key) {
+      return this._Count(this._Lookup(key));
+    }
+
+    // Get, falling back on IndexedDB. Resolves to null on a miss.
+    async Load(key) {
+      const data = this._Lookup(key);
+      if (data || !this.Persistent) {
+        return this._Count(data);
+      }
+
+      let record = null;
+      try {
+        const db = await this._OpenDB();
+        record = await _Request(
+          db.transaction(_STORE).objectStore(_STORE).get(key)
+        );
+        if (record) {
+          this._Touch(db, record);
+        }
+      } catch (err) {
+        console.error("Failed to read cached terrain chunk", err);
+      }
+
+      if (!record) {
+        return this._Count(null);
+      }
+      this._Add(key, record.data);
+      return this._Count(_Copy(record.data));
+    }
+
+    Put(key, data) {
+      const copy = _Copy(data);
+      this._Add(key, copy);
+
+      if (this.Persistent) {
+        this._OpenDB()
+          .then((db) => {
+            this._Store(db, { key: key, data: copy, time: Date.now() });
+            if (++this._puts % _PRUNE_INTERVAL == 0) {
+              return this._Prune(db);
+            }
+          })
+          .catch((err) => {
+            console.error("Failed to persist terrain chunk", err);
+          });
+      }
+    }
+
+    // Empties memory and IndexedDB alike
+    Clear() {
+      this._entries.clear();
+      this._touched.clear();
+      this._bytes = 0;
+      this._stats.cachedChunks = 0;
+
+      if (this._HasDB()) {
+        this._OpenDB()
+          .then((db) => {
+            db.transaction(_STORE, "readwrite").objectStore(_STORE).clear();
+          })
+          .catch((err) => {
+            console.error("Failed to clear cached terrain chunks", err);
+          });
+      }
+    }
+
+    _Store(db, record) {
+      db.transaction(_STORE, "readwrite").objectStore(_STORE).put(record);
+    }
+
+    // Marks a record as just used, for pruning. The writes are batched.
+    _Touch(db, record) {
+      record.time = Date.now();
+      if (this._touched.size == 0) {
+        setTimeout(() => {
+          try {
+            const store = db
+              .transaction(_STORE, "readwrite")
+              .objectStore(_STORE);
+            for (const r of this._touched.values()) {
+              store.put(r);
+            }
+          } catch (err) {
+            console.error("Failed to update cached terrain chunks", err);
+          }
+          this._touched.clear();
+        }, _TOUCH_DELAY);
+      }
+      this._touched.set(record.key, record);
+    }
+
+    _Add(key, data) {
+      const old = this._entries.get(key);
+      if (old) {
+        this._bytes -= _Bytes(old);
+        this._entries.delete(key);
+      }
+      this._entries.set(key, data);
+      this._bytes += _Bytes(data);
+
+      for (const [k, v] of this._entries) {
+        if (this._bytes <= this._params.maxBytes) {
+          break;
+        }
+        this._entries.delete(k);
+        this._bytes -= _Bytes(v);
+      }
+      this._stats.cachedChunks = this._entries.size;
+    }
+
+    // Once the database can't be opened, or another tab upgrades it, the
+    // cache keeps to memory. An older tab holding it open at its own version
+    // blocks the open, which isn't waited out.
+    _OpenDB() {
+      if (!this._db) {
+        const request = indexedDB.open(_DB_NAME, _VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (db.objectStoreNames.contains(_STORE)) {
+            db.deleteObjectStore(_STORE);
+          }
+          const store = db.createObjectStore(_STORE, { keyPath: "key" });
+          store.createIndex("time", "time");
+        };
+        const opened = new Promise((resolve, reject) => {
+          request.onblocked = () => {
+            reject(new Error("Terrain chunk cache is open in another tab"));
+          };
+          request.onerror = () => reject(request.error);
+          request.onsuccess = () => {
+            const db = request.result;
+            if (this._dbFailed) {
+              db.close();
+              return;
+            }
+            db.onversionchange = () => {
+              db.close();
+              this._DBFailed();
+            };
+            resolve(db);
+          };
+        });
+        this._db = opened.then(
+          (db) => {
+            this._Prune(db).catch((err) => {
+              console.error("Failed to prune cached terrain chunks", err);
+            });
+            return db;
+          },
+          (err) => {
+            this._DBFailed();
+            throw err;
+          }
+        );
+      }
+      return this._db;
+    }
+
+    _DBFailed() {
+      this._dbFailed = true;
+      this._db = null;
+    }
+
+    // Drops the least recently used chunks over the limit, on opening and
+    // every so many puts
+    async _Prune(db) {
+      const count = await _Request(
+        db.transaction(_STORE).objectStore(_STORE).count()
+      );
+      const excess = count - _MAX_PERSISTED;
+      if (excess <= 0) {
+        return;
+      }
+      let removed = 0;
+      const store = db.transaction(_STORE, "readwrite").objectStore(_STORE);
+      store.index("time").openCursor().onsuccess = (e) => {
+        const cursor = e.target.result;
+        if (cursor && removed < excess) {
+          cursor.delete();
+          removed++;
+          cursor.continue();
+        }
+      };
+    }
+  }
+
+  return {
+    ChunkCache: ChunkCache,
+    Key: _Key,
+  };
+})();
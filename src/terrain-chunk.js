@@ -1,6 +1,15 @@
 import * as THREE from "https://cdn.jsdelivr.net/npm/three@0.181.0/build/three.module.js";
 
+import { quadtree } from "./quadtree.js";
+
 export const terrain_chunk = (function () {
+  // A chunk appears once the camera comes within its parent's split
+  // distance of the parent's centre (params.morph). It morphs from the
+  // parent's shape there to its own by this fraction of that distance.
+  const MORPH_END = 0.875;
+
+  const _BOUNDS = new THREE.Sphere();
+
   class TerrainChunk {
     constructor(params) {
       this._params = params;
@@ -26,12 +35,26 @@ export const terrain_chunk = (function () {
       this._params = null;
     }
 
+    // Hidden while the chunk waits on the builder. Culling only decides
+    // whether a shown chunk is drawn.
     Hide() {
+      this._hidden = true;
       this._plane.visible = false;
     }
 
     Show() {
-      this._plane.visible = true;
+      this._hidden = false;
+      this._plane.visible = !this._culled;
+    }
+
+    // Call after Update, once the mesh sits relative to the camera
+    Cull(culler) {
+      if (this._hidden || this._boundsRadius === null) {
+        return;
+      }
+      _BOUNDS.set(this._plane.position, this._boundsRadius);
+      this._culled = !culler.IsVisible(_BOUNDS);
+      this._plane.visible = !this._culled;
     }
 
     _Init(params) {
@@ -40,45 +63,150 @@ export const terrain_chunk = (function () {
       this._plane.castShadow = false;
       this._plane.receiveShadow = true;
       this._plane.frustumCulled = false;
-      this._params.group.add(this._plane);
+      this._hidden = false;
+      this._offset = new THREE.Vector3();
+      this._chunkOrigin = new THREE.Vector3();
+      this._boundsRadius = null;
+
+      // The material is shared between chunks, so hand it this chunk's morph
+      // and origin just before drawing
+      this._morph = 0.0;
+      this._plane.onBeforeRender = (renderer, scene, camera, geometry, m) => {
+        if (m.uniforms && m.uniforms.morph) {
+          m.uniforms.morph.value = this._morph;
+          m.uniforms.chunkOrigin.value.copy(this._chunkOrigin);
+          m.uniformsNeedUpdate = true;
+        }
+      };
       this.Reinit(params);
     }
 
+    // Hides the chunk and takes it out of the scene while it waits in the
+    // builder's pool. Reinit puts it back, its geometry kept for reuse.
+    Detach() {
+      this.Hide();
+      if (this._plane.parent) {
+        this._plane.parent.remove(this._plane);
+      }
+    }
+
     Update(cameraPosition) {
       this._plane.position.copy(this._params.origin);
+      this._plane.position.add(this._offset);
       this._plane.position.sub(cameraPosition);
+      this._morph = this._MorphFactor(cameraPosition);
+    }
+
+    // Parent's { center, distance } as the split metric last measured it,
+    // or null for chunks without a parent
+    SetMorph(morph) {
+      this._params.morph = morph;
+    }
+
+    // 1 where the chunk should still look like its parent, 0 once it's
+    // fully its own level of detail
+    _MorphFactor(cameraPosition) {
+      const morph = this._params.morph;
+      if (!morph || morph.distance <= 0.0) {
+        return 0.0;
+      }
+      const distance = morph.center.distanceTo(cameraPosition);
+      const end = morph.distance * MORPH_END;
+      const t = (distance - end) / (morph.distance - end);
+      return Math.min(Math.max(t, 0.0), 1.0);
     }
 
     Reinit(params) {
       this._params = params;
       this._plane.position.set(0, 0, 0);
+      params.group.add(this._plane);
+      this._culled = false;
+      this._morph = 0.0;
+
+      // Builder generation of the geometry on show
+      this._generation = -1;
+
+      if (params.shape === "ring") {
+        this._center = quadtree.RingPoint(
+          params.offset.x,
+          params.offset.y,
+          params.radius,
+          params.shapeParams.width,
+          params.transform,
+          new THREE.Vector3()
+        );
+        this._center.add(params.center);
+      } else {
+        this._center = params.offset.clone();
+        this._center.applyMatrix4(params.transform);
+        this._center.normalize().multiplyScalar(params.radius);
+      }
+    }
+
+    // Builder queue order, lowest first: distance from the camera in chunk
+    // widths, so whatever covers most of the screen is built first
+    BuildPriority(cameraPosition) {
+      return this._center.distanceTo(cameraPosition) / this._params.width;
     }
 
+    // Takes the worker's indexed geometry. Positions arrive quantized to the
+    // chunk's box (data.offset, data.scale relative to the origin), which the
+    // mesh transform undoes.
     RebuildMeshFromData(data) {
-      this._geometry.setAttribute(
-        "position",
-        new THREE.Float32BufferAttribute(data.positions, 3)
-      );
-      this._geometry.setAttribute(
-        "color",
-        new THREE.Float32BufferAttribute(data.colours, 3)
-      );
-      this._geometry.setAttribute(
-        "normal",
-        new THREE.Float32BufferAttribute(data.normals, 3)
-      );
-      this._geometry.setAttribute(
-        "coords",
-        new THREE.Float32BufferAttribute(data.coords, 3)
-      );
-      this._geometry.setAttribute(
-        "weights1",
-        new THREE.Float32BufferAttribute(data.weights1, 4)
-      );
-      this._geometry.setAttribute(
-        "weights2",
-        new THREE.Float32BufferAttribute(data.weights2, 4)
-      );
+      const geometry = this._geometry;
+      const arrays = {
+        position: data.positions,
+        morphPosition: data.morphPositions,
+        normal: data.normals,
+        color: data.colours,
+      };
+
+      // Same sized data, as from any chunk of this resolution, is written
+      // into the current attributes so their GPU buffers are reused. Three
+      // can't resize a buffer, so anything else starts over.
+      const reuse =
+        geometry.index !== null &&
+        geometry.index.array.length == data.indices.length &&
+        Object.keys(arrays).every(
+          (k) => geometry.getAttribute(k).array.length == arrays[k].length
+        );
+
+      if (reuse) {
+        geometry.index.array.set(data.indices);
+        geometry.index.needsUpdate = true;
+        for (let k in arrays) {
+          const attribute = geometry.getAttribute(k);
+          attribute.array.set(arrays[k]);
+          attribute.needsUpdate = true;
+        }
+        const splats = geometry.getAttribute("splat1").data;
+        splats.array.set(data.splats);
+        splats.needsUpdate = true;
+      } else {
+        geometry.dispose();
+        geometry.setIndex(new THREE.BufferAttribute(data.indices, 1));
+        for (let k in arrays) {
+          geometry.setAttribute(
+            k,
+            new THREE.BufferAttribute(arrays[k], 3, true)
+          );
+        }
+
+        const splats = new THREE.InterleavedBuffer(data.splats, 8);
+        geometry.setAttribute(
+          "splat1",
+          new THREE.InterleavedBufferAttribute(splats, 4, 0, true)
+        );
+        geometry.setAttribute(
+          "splat2",
+          new THREE.InterleavedBufferAttribute(splats, 4, 4, true)
+        );
+      }
+
+      this._offset.fromArray(data.offset);
+      this._plane.scale.fromArray(data.scale);
+      this._chunkOrigin.copy(this._params.origin).add(this._offset);
+      this._boundsRadius = this._plane.scale.length();
     }
   }
 
@@ -2,16 +2,60 @@ export const terrain_constants = {
   QT_MIN_CELL_SIZE: 25,
   QT_MIN_CELL_RESOLUTION: 48,
   PLANET_RADIUS: 400000.0,
-  RING_MAJOR_RADIUS: 400000.0,
-  RING_LATITUDE_CUTOFF: 0.02,
-  RING_LATITUDE_FADE: 0.05,
-  RING_DROP_EXPONENT: 1.5,
-  RING_CULL_LATITUDE: 0.08,
+
+  // The ring, in metres: the radius and width of its floor, the height of
+  // the side walls above the floor and their thickness along the axis, the
+  // hull under the floor, and the tilt of its axis from +Y, in radians
+  // about X. Terrain, ocean, physics and the halo shell all follow it.
+  // segments makes a ring under construction: a list of [start, end] arcs
+  // of floor in radians around the axis, e.g. [[0.0, 4.5], [4.7, 5.9]],
+  // closed off by end caps. null is a whole ring. landMap is an authored
+  // map of its continents and seas, an image or JSON polygons (see
+  // land_map), or null for noise alone.
+  RING: {
+    radius: 400000.0,
+    width: 54000.0,
+    wallHeight: 4000.0,
+    wallThickness: 5000.0,
+    hullThickness: 4000.0,
+    tilt: 0.0,
+    segments: null,
+    landMap: "./resources/ring-land.json",
+  },
   RING_OFFSET: 800000.0,
 
+  // The ring's terrain climbs into mountain ranges against its side walls.
+  // Over the last width metres of floor it rises along curve, [t, fraction
+  // of height] points with t running from 0 where the climb starts to 1 at
+  // the wall, to height metres above the floor at the wall itself, where it
+  // meets the wall's inner face (height is capped at RING.wallHeight).
+  // roughness scales the noise's peaks up on the way, and falloff is how
+  // late the noise dies away towards the wall. The floor flattens towards
+  // any end caps along the same curve.
+  RING_EDGE_PROFILE: {
+    width: 16000.0,
+    height: 3200.0,
+    curve: [
+      [0.0, 0.0],
+      [0.35, 0.08],
+      [0.7, 0.4],
+      [1.0, 1.0],
+    ],
+    roughness: 1.5,
+    falloff: 4.0,
+  },
+
   NOISE_HEIGHT: 2000.0,
   NOISE_SCALE: 18000.0,
 
+  // Erosion is simulated on a fixed grid of this spacing (metres) and only
+  // applied to chunks whose vertices are about that dense.
+  EROSION_CELL_SIZE: 50.0,
+  EROSION_MAX_DEPTH: 250.0,
+
+  // Depth of the skirts hiding LOD cracks between chunks, in vertex spacings
+  SKIRT_DEPTH: 4.0,
+
   // Centralized lighting constants
   AMBIENT_LIGHT_INTENSITY: 0.01, // Minimal starlight for dark side
 };
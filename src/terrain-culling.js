@@ -0,0 +1,100 @@
+import * as THREE from "https://cdn.jsdelivr.net/npm/three@0.181.0/build/three.module.js";
+
+export const terrain_culling = (function () {
+  // Chunks are drawn relative to the camera (mesh position is origin minus
+  // camera position, and the shaders drop the view translation), so three's
+  // own frustum culling sees them in the wrong place and is turned off. This
+  // culls their bounding spheres in the same camera-relative space, against
+  // the view frustum and against the horizon of an occluding sphere that
+  // terrain never dips below.
+  class ChunkCuller {
+    constructor(params) {
+      this._Init(params);
+    }
+
+    // params:
+    //  - camera
+    //  - cullingParams: live { frustum, horizon } toggles, both on if missing
+    _Init(params) {
+      this._params = params;
+      this._frustum = new THREE.Frustum();
+      this._matrix = new THREE.Matrix4();
+      this._occluderCenter = new THREE.Vector3();
+      this._occluderRadius = 0.0;
+      this._horizon = 0.0;
+      this._stats = {
+        visible: 0,
+        frustumCulled: 0,
+        horizonCulled: 0,
+      };
+    }
+
+    // Counts from the last frame, for debugging
+    get Stats() {
+      return this._stats;
+    }
+
+    // Call once a frame before IsVisible. occluder is a world space
+    // THREE.Sphere, or null where nothing hides the far side (the ring).
+    Begin(cameraPosition, occluder) {
+      const camera = this._params.camera;
+      camera.updateMatrixWorld();
+      this._matrix.extractRotation(camera.matrixWorld).transpose();
+      this._matrix.premultiply(camera.projectionMatrix);
+      this._frustum.setFromProjectionMatrix(this._matrix);
+
+      this._horizon = 0.0;
+      if (occluder) {
+        this._occluderCenter.copy(occluder.center).sub(cameraPosition);
+        this._occluderRadius = occluder.radius;
+        const d = this._occluderCenter.length();
+        if (d > occluder.radius) {
+          this._horizon = Math.sqrt(d * d - occluder.radius * occluder.radius);
+        }
+      }
+
+      this._stats.visible = 0;
+      this._stats.frustumCulled = 0;
+      this._stats.horizonCulled = 0;
+    }
+
+    // sphere is relative to the camera
+    IsVisible(sphere) {
+      const toggles = this._params.cullingParams || {};
+      if (
+        toggles.frustum !== false &&
+        !this._frustum.intersectsSphere(sphere)
+      ) {
+        this._stats.frustumCulled++;
+        return false;
+      }
+      if (toggles.horizon !== false && this._BelowHorizon(sphere)) {
+        this._stats.horizonCulled++;
+        return false;
+      }
+      this._stats.visible++;
+      return true;
+    }
+
+    // A point at radius r from the occluder's centre can only be seen from
+    // up to the camera's horizon distance plus its own, sqrt(r^2 - R^2).
+    // Take the sphere's farthest radius and nearest distance to stay safe.
+    _BelowHorizon(sphere) {
+      if (this._horizon <= 0.0) {
+        return false;
+      }
+      const distance = sphere.center.length() - sphere.radius;
+      if (distance <= this._horizon) {
+        return false;
+      }
+      const R = this._occluderRadius;
+      const r = sphere.center.distanceTo(this._occluderCenter) + sphere.radius;
+      const reach = this._horizon + Math.sqrt(Math.max(r * r - R * R, 0.0));
+      return distance > reach;
+    }
+  }
+
+  return {
+    ChunkCuller: ChunkCuller,
+  };
+})();
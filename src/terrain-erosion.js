@@ -0,0 +1,411 @@
+import * as THREE from "https://cdn.jsdelivr.net/npm/three@0.181.0/build/three.module.js";
+
+import { terrain_constants } from "./terrain-constants.js";
+
+export const terrain_erosion = (function () {
+  // Erosion is simulated on fixed tiles laid over each cube face, in the same
+  // cube-sphere parameterisation the quadtree uses. A tile only depends on its
+  // face/index and the height parameters, so every chunk (and the main thread
+  // sampler) that asks for a point gets the same answer regardless of which
+  // chunk or LOD level it is building.
+  const _TILE_CELLS = 32;
+  const _APRON_CELLS = 24;
+  const _GRID = _TILE_CELLS + 2 * _APRON_CELLS + 1;
+
+  // Band either side of a cube edge, in cells, over which neighbouring faces
+  // are cross-faded so the face seams line up.
+  const _FACE_BLEND_CELLS = _TILE_CELLS * 0.5;
+
+  const _MAX_CACHED_TILES = 128;
+
+  const _HYDRAULIC = {
+    dropletsPerCell: 0.75,
+    maxSteps: 48,
+    inertia: 0.05,
+    capacity: 4.0,
+    minCapacity: 0.01,
+    erodeRate: 0.3,
+    depositRate: 0.3,
+    evaporation: 0.02,
+    gravity: 4.0,
+  };
+
+  const _THERMAL = {
+    iterations: 24,
+    talus: Math.tan(THREE.MathUtils.degToRad(35.0)),
+    rate: 0.5,
+  };
+
+  // Cube faces as [major axis, sign, u axis, v axis]
+  const _FACES = [
+    [0, 1, 2, 1],
+    [0, -1, 2, 1],
+    [1, 1, 0, 2],
+    [1, -1, 0, 2],
+    [2, 1, 0, 1],
+    [2, -1, 0, 1],
+  ];
+
+  // Tiles are shared by every ErosionField in the thread, keyed on the
+  // height parameters they were simulated from.
+  const _tileCache = new Map();
+
+  function _GetCachedTile(key) {
+    const tile = _tileCache.get(key);
+    if (tile) {
+      _tileCache.delete(key);
+      _tileCache.set(key, tile);
+    }
+    return tile;
+  }
+
+  function _SetCachedTile(key, tile) {
+    _tileCache.set(key, tile);
+    while (_tileCache.size > _MAX_CACHED_TILES) {
+      _tileCache.delete(_tileCache.keys().next().value);
+    }
+  }
+
+  function _HashSeed(a, b, c) {
+    let h = 0x811c9dc5;
+    for (const v of [a, b, c]) {
+      h = Math.imul(h ^ (v | 0), 0x01000193);
+      h ^= h >>> 15;
+    }
+    return h >>> 0;
+  }
+
+  // mulberry32
+  function _Random(seed) {
+    let s = seed >>> 0;
+    return () => {
+      s = (s + 0x6d2b79f5) >>> 0;
+      let t = s;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  function _SampleGrid(grid, x, y) {
+    const ix = Math.min(_GRID - 2, Math.max(0, Math.floor(x)));
+    const iy = Math.min(_GRID - 2, Math.max(0, Math.floor(y)));
+    const fx = x - ix;
+    const fy = y - iy;
+    const i = iy * _GRID + ix;
+    const h00 = grid[i];
+    const h10 = grid[i + 1];
+    const h01 = grid[i + _GRID];
+    const h11 = grid[i + _GRID + 1];
+    return (
+      (h00 * (1 - fx) + h10 * fx) * (1 - fy) + (h01 * (1 - fx) + h11 * fx) * fy
+    );
+  }
+
+  // Droplet erosion. Heights are in cell units so the rates don't depend on
+  // the cell size.
+  function _SimulateHydraulic(heights, random) {
+    const p = _HYDRAULIC;
+    const grid = Float32Array.from(heights);
+    const limit = _GRID - 1;
+    const droplets = Math.floor(_GRID * _GRID * p.dropletsPerCell);
+
+    const _Deposit = (ix, iy, fx, fy, amount) => {
+      const i = iy * _GRID + ix;
+      grid[i] += amount * (1 - fx) * (1 - fy);
+      grid[i + 1] += amount * fx * (1 - fy);
+      grid[i + _GRID] += amount * (1 - fx) * fy;
+      grid[i + _GRID + 1] += amount * fx * fy;
+    };
+
+    for (let d = 0; d < droplets; d++) {
+      let x = random() * limit;
+      let y = random() * limit;
+      let dirX = 0.0;
+      let dirY = 0.0;
+      let speed = 1.0;
+      let water = 1.0;
+      let sediment = 0.0;
+
+      for (let step = 0; step < p.maxSteps; step++) {
+        const ix = Math.floor(x);
+        const iy = Math.floor(y);
+        const fx = x - ix;
+        const fy = y - iy;
+        const i = iy * _GRID + ix;
+        const h00 = grid[i];
+        const h10 = grid[i + 1];
+        const h01 = grid[i + _GRID];
+        const h11 = grid[i + _GRID + 1];
+
+        const gradX = (h10 - h00) * (1 - fy) + (h11 - h01) * fy;
+        const gradY = (h01 - h00) * (1 - fx) + (h11 - h10) * fx;
+        const height =
+          (h00 * (1 - fx) + h10 * fx) * (1 - fy) +
+          (h01 * (1 - fx) + h11 * fx) * fy;
+
+        dirX = dirX * p.inertia - gradX * (1 - p.inertia);
+        dirY = dirY * p.inertia - gradY * (1 - p.inertia);
+        const len = Math.sqrt(dirX * dirX + dirY * dirY);
+        if (len < 1e-8) {
+          break;
+        }
+        dirX /= len;
+        dirY /= len;
+
+        x += dirX;
+        y += dirY;
+        if (x < 0 || y < 0 || x >= limit || y >= limit) {
+          break;
+        }
+
+        const deltaHeight = _SampleGrid(grid, x, y) - height;
+        const capacity = Math.max(
+          -deltaHeight * speed * water * p.capacity,
+          p.minCapacity
+        );
+
+        if (sediment > capacity || deltaHeight > 0) {
+          const amount =
+            deltaHeight > 0
+              ? Math.min(deltaHeight, sediment)
+              : (sediment - capacity) * p.depositRate;
+          sediment -= amount;
+          _Deposit(ix, iy, fx, fy, amount);
+        } else {
+          const amount = Math.min(
+            (capacity - sediment) * p.erodeRate,
+            -deltaHeight
+          );
+          sediment += amount;
+          _Deposit(ix, iy, fx, fy, -amount);
+        }
+
+        speed = Math.sqrt(
+          Math.max(0.0, speed * speed - deltaHeight * p.gravity)
+        );
+        water *= 1 - p.evaporation;
+      }
+    }
+
+    for (let i = 0; i < grid.length; i++) {
+      grid[i] -= heights[i];
+    }
+    return grid;
+  }
+
+  // Talus slumping: material slides off any slope steeper than the talus
+  // angle onto its lower neighbours.
+  function _SimulateThermal(heights) {
+    const p = _THERMAL;
+    const grid = Float32Array.from(heights);
+    const next = new Float32Array(grid.length);
+    const offsets = [-1, 1, -_GRID, _GRID];
+
+    for (let it = 0; it < p.iterations; it++) {
+      next.set(grid);
+      for (let y = 1; y < _GRID - 1; y++) {
+        for (let x = 1; x < _GRID - 1; x++) {
+          const i = y * _GRID + x;
+          const h = grid[i];
+
+          let total = 0.0;
+          let steepest = 0.0;
+          for (const o of offsets) {
+            const diff = h - grid[i + o];
+            if (diff > p.talus) {
+              total += diff;
+              steepest = Math.max(steepest, diff);
+            }
+          }
+          if (total <= 0.0) {
+            continue;
+          }
+
+          const moved = p.rate * 0.5 * (steepest - p.talus);
+          next[i] -= moved;
+          for (const o of offsets) {
+            const diff = h - grid[i + o];
+            if (diff > p.talus) {
+              next[i + o] += (moved * diff) / total;
+            }
+          }
+        }
+      }
+      grid.set(next);
+    }
+
+    for (let i = 0; i < grid.length; i++) {
+      grid[i] -= heights[i];
+    }
+    return grid;
+  }
+
+  class ErosionField {
+    // params:
+    //  - radius: cube half size, i.e. the terrain radius
+    //  - heightAt(direction): raw, uneroded height for a cube-sphere direction
+    //  - key(): short id of the current height parameters, kept up to date
+    //    by the caller since it is asked for on every sample
+    //  - params: live { hydraulic, thermal } strengths in [0, 1]
+    //  - requestTile(version, face, tx, ty): optional. Given, tiles aren't
+    //    simulated here but asked for, and Sample gives no offset until they
+    //    arrive through AddTile. Keeps the simulation off the main thread.
+    constructor(params) {
+      this._radius = params.radius;
+      this._heightAt = params.heightAt;
+      this._key = params.key;
+      this._requestTile = params.requestTile || null;
+      this._params = params.params;
+      this._cellSize = terrain_constants.EROSION_CELL_SIZE;
+      this._maxDepth = terrain_constants.EROSION_MAX_DEPTH;
+
+      this._direction = new THREE.Vector3();
+    }
+
+    get Enabled() {
+      return this._params.hydraulic > 0.0 || this._params.thermal > 0.0;
+    }
+
+    // Upper bound on how far erosion moves the surface, in metres
+    get MaxDepth() {
+      return this.Enabled ? this._maxDepth : 0.0;
+    }
+
+    // Simulates one tile, as AddTile takes it
+    BuildTile(face, tx, ty) {
+      const [major, sign, ua, va] = _FACES[face];
+      const dir = this._direction;
+      const heights = new Float32Array(_GRID * _GRID);
+      const originX = tx * _TILE_CELLS - _APRON_CELLS;
+      const originY = ty * _TILE_CELLS - _APRON_CELLS;
+
+      for (let y = 0; y < _GRID; y++) {
+        for (let x = 0; x < _GRID; x++) {
+          const u = (originX + x) * this._cellSize - this._radius;
+          const v = (originY + y) * this._cellSize - this._radius;
+          dir.setComponent(major, sign * this._radius);
+          dir.setComponent(ua, u);
+          dir.setComponent(va, v);
+          heights[y * _GRID + x] = this._heightAt(dir) / this._cellSize;
+        }
+      }
+
+      const random = _Random(_HashSeed(face, tx, ty));
+      return {
+        hydraulic: _SimulateHydraulic(heights, random),
+        thermal: _SimulateThermal(heights),
+      };
+    }
+
+    AddTile(version, face, tx, ty, tile) {
+      _SetCachedTile(version + "|" + face + "/" + tx + "/" + ty, tile);
+    }
+
+    // Null while a requested tile is on its way
+    _GetTile(version, face, tx, ty) {
+      const key = version + "|" + face + "/" + tx + "/" + ty;
+      let tile = _GetCachedTile(key);
+      if (!tile) {
+        if (this._requestTile) {
+          this._requestTile(version, face, tx, ty);
+          return null;
+        }
+        tile = this.BuildTile(face, tx, ty);
+        _SetCachedTile(key, tile);
+      }
+      return tile;
+    }
+
+    // Blends the 2x2 tiles around a point in one face's chart, or null when
+    // one hasn't arrived yet
+    _SampleFace(version, face, cu, cv) {
+      const hydraulic = this._params.hydraulic;
+      const thermal = this._params.thermal;
+      const su = cu / _TILE_CELLS - 0.5;
+      const sv = cv / _TILE_CELLS - 0.5;
+      const tu = Math.floor(su);
+      const tv = Math.floor(sv);
+      const fu = su - tu;
+      const fv = sv - tv;
+
+      let total = 0.0;
+      let missing = false;
+      for (let j = 0; j < 2; j++) {
+        for (let i = 0; i < 2; i++) {
+          const w = (i ? fu : 1 - fu) * (j ? fv : 1 - fv);
+          if (w <= 0.0) {
+            continue;
+          }
+          const tile = this._GetTile(version, face, tu + i, tv + j);
+          if (!tile) {
+            missing = true;
+            continue;
+          }
+          const x = cu - ((tu + i) * _TILE_CELLS - _APRON_CELLS);
+          const y = cv - ((tv + j) * _TILE_CELLS - _APRON_CELLS);
+          let delta = 0.0;
+          if (hydraulic > 0.0) {
+            delta += _SampleGrid(tile.hydraulic, x, y) * hydraulic;
+          }
+          if (thermal > 0.0) {
+            delta += _SampleGrid(tile.thermal, x, y) * thermal;
+          }
+          total += delta * w;
+        }
+      }
+      return missing ? null : total;
+    }
+
+    // Height offset in metres for a cube-sphere direction
+    Sample(direction) {
+      if (!this.Enabled) {
+        return 0.0;
+      }
+
+      const version = this._key();
+      const d = [direction.x, direction.y, direction.z];
+      const band = _FACE_BLEND_CELLS * this._cellSize;
+
+      let total = 0.0;
+      let weights = 0.0;
+      let missing = false;
+      for (let face = 0; face < _FACES.length; face++) {
+        const [major, sign, ua, va] = _FACES[face];
+        const m = d[major] * sign;
+        if (m <= 0.0) {
+          continue;
+        }
+
+        const u = (d[ua] / m) * this._radius;
+        const v = (d[va] / m) * this._radius;
+        const depth = this._radius - Math.max(Math.abs(u), Math.abs(v));
+        const w = Math.min(1.0, Math.max(0.0, 0.5 + depth / (2.0 * band)));
+        if (w <= 0.0) {
+          continue;
+        }
+
+        const cu = (u + this._radius) / this._cellSize;
+        const cv = (v + this._radius) / this._cellSize;
+        const delta = this._SampleFace(version, face, cu, cv);
+        if (delta === null) {
+          missing = true;
+          continue;
+        }
+        total += delta * w;
+        weights += w;
+      }
+
+      if (missing || weights <= 0.0) {
+        return 0.0;
+      }
+
+      const delta = (total / weights) * this._cellSize;
+      return Math.max(-this._maxDepth, Math.min(this._maxDepth, delta));
+    }
+  }
+
+  return {
+    ErosionField: ErosionField,
+  };
+})();
@@ -0,0 +1,444 @@
+import * as THREE from "https://cdn.jsdelivr.net/npm/three@0.181.0/build/three.module.js";
+
+import { quadtree } from "./quadtree.js";
+import { ring_geometry } from "./ring-geometry.js";
+import { terrain_erosion } from "./terrain-erosion.js";
+import { utils } from "./utils.js";
+
+export const terrain_height = (function () {
+  const _LINEAR_CURVE = [
+    [0.0, 0.0],
+    [1.0, 1.0],
+  ];
+
+  // Piecewise linear through [t, value] points sorted by t, kept to [0, 1]
+  function _Curve(points, t) {
+    return Math.min(1.0, Math.max(0.0, _Interpolate(points, t)));
+  }
+
+  function _Interpolate(points, t) {
+    if (t <= points[0][0]) {
+      return points[0][1];
+    }
+    for (let i = 1; i < points.length; i++) {
+      const [t1, v1] = points[i];
+      if (t <= t1) {
+        const [t0, v0] = points[i - 1];
+        return v0 + ((v1 - v0) * (t - t0)) / Math.max(t1 - t0, 1e-5);
+      }
+    }
+    return points[points.length - 1][1];
+  }
+
+  // Samples the terrain surface for a planet or ring using exactly the same
+  // projection and edge profile as the chunk worker, so anything on the main
+  // thread (scenery, controls, tools) agrees with the rendered geometry.
+  class TerrainHeightSampler {
+    constructor(params) {
+      this._params = params;
+      this._radius = params.radius;
+      this._center = params.center
+        ? params.center.clone()
+        : new THREE.Vector3(0, 0, 0);
+      this._shape = params.shape || "planet";
+      this._shapeParams = params.shapeParams || {};
+      this._heightGenerator = params.heightGenerator;
+      this._landMap = params.landMap || null;
+
+      // The ring is worked out in its own frame, turning about +Y
+      this._tilt = ring_geometry.Tilt(this._shapeParams);
+      this._untilt = this._tilt.clone().invert();
+
+      this._local = new THREE.Vector3();
+      this._rawSample = null;
+
+      // Coarse chunks pass a weight below one to fade erosion out
+      this._erosion = null;
+      this._erosionWeight =
+        params.erosionWeight !== undefined ? params.erosionWeight : 1.0;
+      this._erosionVersion = null;
+      if (params.erosionParams) {
+        this._erosion = new terrain_erosion.ErosionField({
+          radius: this._radius,
+          params: params.erosionParams,
+          heightAt: (direction) => this._RawHeight(direction),
+          key: () => this._erosionVersion,
+          requestTile: params.requestErosionTile,
+        });
+        this.ParamsChanged();
+      }
+    }
+
+    // Call after changing the height params in place, which erosion tiles
+    // are keyed on
+    ParamsChanged() {
+      if (!this._erosion) {
+        return;
+      }
+      this._erosionVersion = utils.Hash(
+        JSON.stringify([
+          this._radius,
+          this._shape,
+          this._shapeParams,
+          this._landMap !== null,
+          this._params.heightParams,
+        ])
+      );
+    }
+
+    get Radius() {
+      return this._radius;
+    }
+
+    get Center() {
+      return this._center;
+    }
+
+    get Shape() {
+      return this._shape;
+    }
+
+    // The ring's authored land map (see land_map), which the main thread
+    // only has once it's loaded
+    SetLandMap(landMap) {
+      this._landMap = landMap;
+      this.ParamsChanged();
+    }
+
+    // Replaces the shape params, e.g. without a land map that won't load
+    SetShapeParams(shapeParams) {
+      this._shapeParams = shapeParams || {};
+      this._tilt = ring_geometry.Tilt(this._shapeParams);
+      this._untilt = this._tilt.clone().invert();
+      this.ParamsChanged();
+    }
+
+    // How the ring's terrain climbs its side walls (see
+    // terrain_constants.RING_EDGE_PROFILE), with the ramp no wider than half
+    // the floor and its top no higher than the walls
+    _EdgeProfile() {
+      const profile = this._shapeParams.edgeProfile || {};
+      const width = profile.width !== undefined ? profile.width : 20000.0;
+      const height = profile.height !== undefined ? profile.height : 0.0;
+
+      return {
+        width: Math.max(1e-5, Math.min(this.HalfWidth, width)),
+        height: Math.max(
+          0.0,
+          Math.min(this._shapeParams.wallHeight || 0.0, height)
+        ),
+        curve: profile.curve || _LINEAR_CURVE,
+        roughness: profile.roughness || 0.0,
+        falloff: profile.falloff !== undefined ? profile.falloff : 1.5,
+      };
+    }
+
+    // Half the ring floor's width in metres, the band its quadtree tiles
+    get HalfWidth() {
+      if (this._shape !== "ring") {
+        return Infinity;
+      }
+      return this._shapeParams.width * 0.5;
+    }
+
+    // Fills in how the ring's edge profile shapes the terrain at a point:
+    // edge is the fraction of the profile's height the ground is lifted by,
+    // heightMask what's left of the noise. At a wall the noise is gone and
+    // the ground stands at the profile's height, on the wall's inner face.
+    // Towards an end cap the lot flattens to the floor along the same curve,
+    // to meet the cap at the top of the hull.
+    _EdgeMask(axial, angle, result) {
+      if (this._shape !== "ring") {
+        result.edge = 0.0;
+        result.heightMask = 1.0;
+        return result;
+      }
+
+      const profile = this._EdgeProfile();
+      const toWall = Math.min(
+        1.0,
+        Math.max(0.0, 1.0 - (this.HalfWidth - Math.abs(axial)) / profile.width)
+      );
+      const toEnd = Math.min(
+        1.0,
+        Math.max(
+          0.0,
+          1.0 -
+            (ring_geometry.EndDistance(this._shapeParams, angle) *
+              this._radius) /
+              profile.width
+        )
+      );
+      const endMask = 1.0 - _Curve(profile.curve, toEnd);
+
+      result.edge = _Curve(profile.curve, toWall) * endMask;
+      result.heightMask = (1.0 - Math.pow(toWall, profile.falloff)) * endMask;
+      return result;
+    }
+
+    // Noise height n shaped by the edge profile for a sample: peaks grow
+    // into mountains as the ground climbs, and hollows fill in
+    _EdgeHeight(n, sample) {
+      if (this._shape !== "ring") {
+        return n;
+      }
+
+      const profile = this._EdgeProfile();
+      if (n > 0.0) {
+        n *= 1.0 + profile.roughness * sample.edge;
+      } else {
+        n *= 1.0 - sample.edge;
+      }
+      return n * sample.heightMask + sample.edge * profile.height;
+    }
+
+    // The land map under a ring sample, at its angle and axial offset
+    _SampleLandMap(axial, result) {
+      if (this._shape !== "ring" || !this._landMap) {
+        result.land = null;
+        result.moistureOffset = 0.0;
+        result.temperatureOffset = 0.0;
+        return result;
+      }
+      return this._landMap.Sample(
+        result.angle / (Math.PI * 2.0),
+        axial / this._shapeParams.width + 0.5,
+        result
+      );
+    }
+
+    NewSample() {
+      return {
+        direction: new THREE.Vector3(),
+        base: new THREE.Vector3(),
+        position: new THREE.Vector3(),
+        up: new THREE.Vector3(),
+        latitude: 0.0,
+        angle: 0.0,
+        edge: 0.0,
+        heightMask: 1.0,
+        land: null,
+        moistureOffset: 0.0,
+        temperatureOffset: 0.0,
+        height: 0.0,
+      };
+    }
+
+    // Projects onto the undisplaced surface. For the ring, axial is the
+    // offset along the ring axis and (ex, ez) the in-plane direction, both
+    // in the ring's frame, and angle is around the axis from +Z.
+    _ProjectRing(ex, ez, axial, result) {
+      let len = Math.sqrt(ex * ex + ez * ez);
+      if (len < 1e-8) {
+        ex = 1.0;
+        ez = 0.0;
+        len = 1.0;
+      }
+      ex /= len;
+      ez /= len;
+
+      result.latitude = Math.abs(axial) / this._radius;
+      result.angle = Math.atan2(ex, ez);
+      this._EdgeMask(axial, result.angle, result);
+      this._SampleLandMap(axial, result);
+      result.base.set(ex * this._radius, axial, ez * this._radius);
+      result.base.applyQuaternion(this._tilt).add(this._center);
+      result.up.set(-ex, 0, -ez).applyQuaternion(this._tilt);
+      return result;
+    }
+
+    _ProjectPlanet(dir, result) {
+      result.latitude = Math.abs(dir.y);
+      result.edge = 0.0;
+      result.heightMask = 1.0;
+      this._SampleLandMap(0.0, result);
+      result.up.copy(dir);
+      result.base.copy(dir).multiplyScalar(this._radius).add(this._center);
+      return result;
+    }
+
+    // Direction, as ProjectDirection takes it, under (x, y) in the space of
+    // a quadtree root with the given transform: a cube face on the planet,
+    // a stretch of floor on the ring (see quadtree.RingPoint).
+    LocalDirection(x, y, transform, target) {
+      target = target || new THREE.Vector3();
+      if (this._shape !== "ring") {
+        return target.set(x, y, 0.0).applyMatrix4(transform);
+      }
+      quadtree.RingPoint(
+        x,
+        y,
+        this._radius,
+        this._shapeParams.width,
+        transform,
+        target
+      );
+      return this.DirectionFromPosition(target.add(this._center), target);
+    }
+
+    // direction is a vector from the terrain centre in the cube-sphere
+    // parameterisation the quadtree and worker use; it need not be unit length.
+    ProjectDirection(direction, result) {
+      result = result || this.NewSample();
+
+      const dir = this._local.copy(direction);
+      if (dir.lengthSq() > 0.0) {
+        dir.normalize();
+      } else {
+        dir.set(0, 1, 0);
+      }
+
+      result.direction.copy(dir);
+      if (this._shape === "ring") {
+        dir.applyQuaternion(this._untilt);
+        return this._ProjectRing(dir.x, dir.z, dir.y * this._radius, result);
+      }
+      return this._ProjectPlanet(dir, result);
+    }
+
+    // Turns a ring direction over a gap between segments onto the nearest
+    // end of the floor. Returns whether it moved.
+    ClampDirection(direction) {
+      if (this._shape !== "ring") {
+        return false;
+      }
+      return ring_geometry.ClampPoint(this._shapeParams, direction);
+    }
+
+    ProjectPosition(worldPosition, result) {
+      result = result || this.NewSample();
+
+      this.DirectionFromPosition(worldPosition, result.direction);
+      const local = this._local.copy(worldPosition).sub(this._center);
+      if (this._shape === "ring") {
+        local.applyQuaternion(this._untilt);
+        return this._ProjectRing(local.x, local.z, local.y, result);
+      }
+
+      if (local.lengthSq() > 0.0) {
+        local.normalize();
+      } else {
+        local.set(0, 1, 0);
+      }
+      return this._ProjectPlanet(local, result);
+    }
+
+    _RawHeight(direction) {
+      this._rawSample = this.ProjectDirection(direction, this._rawSample);
+      const b = this._rawSample.base;
+      return this._EdgeHeight(
+        this._heightGenerator.Get(b.x, b.y, b.z, this._rawSample.land)[0],
+        this._rawSample
+      );
+    }
+
+    // Erosion goes on after the edge shaping, since its tiles are simulated
+    // from the shaped surface (see _RawHeight)
+    _Displace(result, skipErosion) {
+      const b = result.base;
+      let height = this._EdgeHeight(
+        this._heightGenerator.Get(b.x, b.y, b.z, result.land)[0],
+        result
+      );
+      if (this._erosion && !skipErosion && this._erosionWeight > 0.0) {
+        height += this._erosion.Sample(result.direction) * this._erosionWeight;
+      }
+      result.height = height;
+      result.position.copy(result.up).multiplyScalar(result.height).add(b);
+      return result;
+    }
+
+    // One erosion tile simulated for the current params, as { version,
+    // tile }, for a sampler whose tiles are requested instead (see
+    // params.requestErosionTile)
+    BuildErosionTile(face, tx, ty) {
+      return {
+        version: this._erosionVersion,
+        tile: this._erosion.BuildTile(face, tx, ty),
+      };
+    }
+
+    AddErosionTile(version, face, tx, ty, tile) {
+      this._erosion.AddTile(version, face, tx, ty, tile);
+    }
+
+    // How far erosion may move the surface from the raw noise height
+    get ErosionDepth() {
+      return this._erosion ? this._erosion.MaxDepth * this._erosionWeight : 0.0;
+    }
+
+    // True when the sample lies on geometry the worker actually emits.
+    HasSurface(sample) {
+      if (this._shape !== "ring") {
+        return true;
+      }
+      return (
+        sample.latitude * this._radius <= this.HalfWidth &&
+        ring_geometry.Covers(this._shapeParams, sample.angle)
+      );
+    }
+
+    // Inverse of ProjectDirection: the cube-sphere direction whose surface
+    // point lies under worldPosition.
+    DirectionFromPosition(worldPosition, target) {
+      target = target || new THREE.Vector3();
+      target.copy(worldPosition).sub(this._center);
+
+      if (this._shape === "ring") {
+        target.applyQuaternion(this._untilt);
+        const axial = Math.max(-this._radius, Math.min(this._radius, target.y));
+        const planar = Math.sqrt(
+          Math.max(0.0, this._radius * this._radius - axial * axial)
+        );
+        let len = Math.sqrt(target.x * target.x + target.z * target.z);
+        if (len < 1e-8) {
+          target.set(1, 0, 0);
+          len = 1.0;
+        }
+        target.set((target.x / len) * planar, axial, (target.z / len) * planar);
+        target.applyQuaternion(this._tilt);
+      }
+
+      if (target.lengthSq() > 0.0) {
+        target.normalize();
+      } else {
+        target.set(0, 1, 0);
+      }
+      return target;
+    }
+
+    // Signed distance of worldPosition above the displaced terrain, measured
+    // along the local up vector. Negative means below ground.
+    Altitude(worldPosition, sample) {
+      sample = this._Displace(
+        this.ProjectPosition(worldPosition, sample),
+        true
+      );
+      this._local.copy(worldPosition).sub(sample.base);
+      const altitude = this._local.dot(sample.up) - sample.height;
+
+      // Far above or below the ground erosion can't change the answer much,
+      // and evaluating it means simulating tiles, so skip it.
+      const depth = this.ErosionDepth;
+      if (depth <= 0.0 || Math.abs(altitude) > depth * 4.0) {
+        return altitude;
+      }
+
+      const raw = sample.height;
+      this._Displace(sample);
+      return altitude + raw - sample.height;
+    }
+
+    SampleDirection(direction, result) {
+      return this._Displace(this.ProjectDirection(direction, result));
+    }
+
+    SamplePosition(worldPosition, result) {
+      return this._Displace(this.ProjectPosition(worldPosition, result));
+    }
+  }
+
+  return {
+    TerrainHeightSampler: TerrainHeightSampler,
+  };
+})();
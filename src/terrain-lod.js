@@ -0,0 +1,142 @@
+import * as THREE from "https://cdn.jsdelivr.net/npm/three@0.181.0/build/three.module.js";
+
+export const terrain_lod = (function () {
+  // Where the terrain is probed in each node, in node widths from its centre
+  const _PROBES = [
+    [0.0, 0.0],
+    [-0.25, -0.25],
+    [0.25, -0.25],
+    [-0.25, 0.25],
+    [0.25, 0.25],
+  ];
+
+  // Node errors only change with the noise, but the camera keeps reaching
+  // new nodes, so start over once this many are cached.
+  const _MAX_CACHED = 20000;
+
+  // Quadtree split metric: a node splits once its geometric error, projected
+  // onto the screen, is larger than a target number of pixels. Rough terrain
+  // splits early, flat ground and ocean late, and a lower render resolution
+  // or narrower field of view needs less detail.
+  class ScreenSpaceError {
+    constructor(params) {
+      this._Init(params);
+    }
+
+    // params:
+    //  - sampler: terrain_height.TerrainHeightSampler, best without erosion
+    //    since probing far away nodes would simulate erosion tiles for them
+    //  - radius
+    //  - camera, graphics: field of view and render target height
+    //  - lodParams: live { targetError } in pixels, and { hysteresis }, how
+    //    much further than its split distance a node merges, as a fraction
+    _Init(params) {
+      this._params = params;
+      this._errors = new Map();
+      this._keys = new WeakMap();
+      this._sample = params.sampler.NewSample();
+      this._probe = new THREE.Vector3();
+      this._point = new THREE.Vector3();
+      this._pixelsPerRadian = 1.0;
+      this._resolution = 1;
+    }
+
+    // Picks up field of view, render size and chunk resolution changes.
+    // Call before updating the quadtree.
+    Update(resolution) {
+      const graphics = this._params.graphics;
+      const height = graphics ? graphics.RenderHeight : window.innerHeight;
+      const fov = THREE.MathUtils.degToRad(this._params.camera.fov);
+      this._pixelsPerRadian = height / (2.0 * Math.tan(fov * 0.5));
+      if (resolution != this._resolution) {
+        this._keys = new WeakMap();
+      }
+      this._resolution = resolution;
+    }
+
+    // Forget cached errors, after the terrain shape changes
+    Clear() {
+      this._errors.clear();
+    }
+
+    _Height(x, y, localToWorld) {
+      this._params.sampler.LocalDirection(x, y, localToWorld, this._point);
+      const sample = this._params.sampler.SampleDirection(
+        this._point,
+        this._sample
+      );
+      // The ocean hides everything below sea level
+      return Math.max(0.0, sample.height);
+    }
+
+    // Largest gap in metres between the node's mesh and the terrain: how far
+    // the terrain bends between neighbouring vertices at a few probes, plus
+    // the sag of the chord between vertices on the sphere. Nodes may be
+    // longer than they're wide (on the ring), with wider spaced columns.
+    GeometricError(node, localToWorld) {
+      const size = node.size;
+      const spacing = size.x / this._resolution;
+      const rowSpacing = size.y / this._resolution;
+
+      // Asked for every node every frame, so each node's key is made once
+      let key = this._keys.get(node);
+      if (key === undefined) {
+        const c = node.sphereCenter;
+        key = `${c.x},${c.y},${c.z}/${spacing}/${rowSpacing}`;
+        this._keys.set(node, key);
+      }
+
+      let error = this._errors.get(key);
+      if (error !== undefined) {
+        return error;
+      }
+
+      let bend = 0.0;
+      for (const [u, v] of _PROBES) {
+        const x = node.center.x + u * size.x;
+        const y = node.center.y + v * size.y;
+        const h = this._Height(x, y, localToWorld);
+        const hx =
+          this._Height(x - spacing, y, localToWorld) +
+          this._Height(x + spacing, y, localToWorld);
+        const hy =
+          this._Height(x, y - rowSpacing, localToWorld) +
+          this._Height(x, y + rowSpacing, localToWorld);
+        bend = Math.max(
+          bend,
+          Math.abs(hx - 2.0 * h) * 0.5,
+          Math.abs(hy - 2.0 * h) * 0.5
+        );
+      }
+      error = bend + (spacing * spacing) / (8.0 * this._params.radius);
+
+      if (this._errors.size >= _MAX_CACHED) {
+        this._errors.clear();
+      }
+      this._errors.set(key, error);
+      return error;
+    }
+
+    // Distance from the node's centre on the sphere within which its error
+    // covers more than the target number of pixels. Measured to the near
+    // edge of the node, so large nodes aren't left coarse under the camera.
+    SplitDistance(node, localToWorld) {
+      const error = this.GeometricError(node, localToWorld);
+      const target = Math.max(this._params.lodParams.targetError, 1e-3);
+      return (
+        (error * this._pixelsPerRadian) / target + node.size.length() * 0.5
+      );
+    }
+
+    // Children merge back into the node past this distance. Their morph has
+    // reached the node's shape by then, so merging doesn't pop either.
+    MergeDistance(node, localToWorld) {
+      const hysteresis = this._params.lodParams.hysteresis || 0.0;
+      return this.SplitDistance(node, localToWorld) * (1.0 + hysteresis);
+    }
+  }
+
+  return {
+    ScreenSpaceError: ScreenSpaceError,
+  };
+})();
@@ -4,15 +4,17 @@ export const terrain_shader = (function () {
 uniform float fogDensity;
 uniform vec3 cloudScale;
 uniform mat4 shadowMatrix;
+uniform float morph;
+uniform vec3 chunkOrigin;
 
 // Attributes
 // in vec3 position;
 // in vec3 normal;
 // in vec2 uv;
 // in vec3 color;
-in vec3 coords;
-in vec4 weights1;
-in vec4 weights2;
+in vec3 morphPosition;
+in vec4 splat1;
+in vec4 splat2;
 
 // Outputs
 out vec2 vUV;
@@ -21,8 +23,8 @@ out vec3 vNormal;
 out vec3 vCoords;
 out vec3 vRepeatingCoords;
 out vec3 vVSPos;
-out vec4 vWeights1;
-out vec4 vWeights2;
+out vec4 vSplat1;
+out vec4 vSplat2;
 out float vFragDepth;
 out vec4 vShadowCoord;
 
@@ -35,23 +37,30 @@ void main(){
       viewMatrix[2],
       vec4(0.0, 0.0, 0.0, 1.0));
 
-  gl_Position = projectionMatrix * terrainMatrix * modelMatrix * vec4(position, 1.0);
+  // Blend toward the parent chunk's surface, so splits don't pop
+  vec3 morphedPosition = position + (morphPosition - position) * morph;
+
+  // Positions are quantized to the chunk's box and scaled back by the model
+  // matrix. Coords are absolute world positions, for texturing.
+  vec3 morphedCoords = chunkOrigin + mat3(modelMatrix) * morphedPosition;
+
+  gl_Position = projectionMatrix * terrainMatrix * modelMatrix * vec4(morphedPosition, 1.0);
 
   vUV = uv;
   vNormal = normal;
 
-  vec4 worldPosition = vec4(coords, 1.0);
+  vec4 worldPosition = vec4(morphedCoords, 1.0);
   vShadowCoord = shadowMatrix * worldPosition;
 
   float a = 65536.0;
   float p = a * 4.0;
 
-  vCoords = coords;
-  vRepeatingCoords = (4.0 * a / p) * abs(mod(coords, p) - p * 0.5);
+  vCoords = morphedCoords;
+  vRepeatingCoords = (4.0 * a / p) * abs(mod(morphedCoords, p) - p * 0.5);
   vColor = vec4(color, 1);
-  vVSPos = (terrainMatrix * modelMatrix * vec4(position, 1.0)).xyz;
-  vWeights1 = weights1;
-  vWeights2 = weights2;
+  vVSPos = (terrainMatrix * modelMatrix * vec4(morphedPosition, 1.0)).xyz;
+  vSplat1 = splat1;
+  vSplat2 = splat2;
 
   vFragDepth = 1.0 + gl_Position.w;
 }
@@ -84,8 +93,8 @@ in vec3 vNormal;
 in vec3 vCoords;
 in vec3 vRepeatingCoords;
 in vec3 vVSPos;
-in vec4 vWeights1;
-in vec4 vWeights2;
+in vec4 vSplat1;
+in vec4 vSplat2;
 in float vFragDepth;
 in vec4 vShadowCoord;
 
@@ -387,17 +396,35 @@ void main() {
   vec3 sunDir = normalize(sunDirection);
 
   // Initialize arrays element by element (Android WebGL compatibility)
+  highp float slotWeights[8];
+  slotWeights[0] = vSplat1.x;
+  slotWeights[1] = vSplat1.y;
+  slotWeights[2] = vSplat1.z;
+  slotWeights[3] = vSplat1.w;
+  slotWeights[4] = vSplat2.x;
+  slotWeights[5] = vSplat2.y;
+  slotWeights[6] = vSplat2.z;
+  slotWeights[7] = vSplat2.w;
+
+  // Blend the strongest four texture slots
   highp float weightIndices[4];
-  weightIndices[0] = vWeights1.x;
-  weightIndices[1] = vWeights1.y;
-  weightIndices[2] = vWeights1.z;
-  weightIndices[3] = vWeights1.w;
-  
   highp float weightValues[4];
-  weightValues[0] = vWeights2.x;
-  weightValues[1] = vWeights2.y;
-  weightValues[2] = vWeights2.z;
-  weightValues[3] = vWeights2.w;
+  float weightTotal = 0.0;
+  for (int i = 0; i < 4; ++i) {
+    int best = 0;
+    for (int j = 1; j < 8; ++j) {
+      if (slotWeights[j] > slotWeights[best]) {
+        best = j;
+      }
+    }
+    weightIndices[i] = float(best);
+    weightValues[i] = slotWeights[best];
+    weightTotal += slotWeights[best];
+    slotWeights[best] = -1.0;
+  }
+  for (int i = 0; i < 4; ++i) {
+    weightValues[i] /= max(weightTotal, 0.0001);
+  }
 
   // TRIPLANAR SPLATTING w/ NORMALS & UVS
   vec3 worldSpaceNormal = normalize(vNormal);
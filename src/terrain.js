@@ -5,13 +5,29 @@ import { quadtree } from "./quadtree.js";
 import { terrain_shader } from "./terrain-shader.js";
 import { terrain_builder_threaded } from "./terrain-builder-threaded.js";
 import { terrain_constants } from "./terrain-constants.js";
+import { terrain_height } from "./terrain-height.js";
+import { terrain_lod } from "./terrain-lod.js";
+import { terrain_culling } from "./terrain-culling.js";
+import { ring_geometry } from "./ring-geometry.js";
+import { ring_physics } from "./ring-physics.js";
+import { biomes } from "./biomes.js";
+import { climate } from "./climate.js";
+import { land_map } from "./land-map.js";
 import { texture_splatter } from "./texture-splatter.js";
 import { textures } from "./textures.js";
-import { utils } from "./utils.js";
 import { ocean } from "./ocean.js";
 import { scenery_controller } from "./scenery-controller.js";
 
 export const terrain = (function () {
+  // Seconds a GUI change has to settle before the chunks are rebuilt, so
+  // dragging a slider doesn't queue a rebuild every frame
+  const _REBUILD_DELAY = 0.25;
+
+  // Tries at an erosion tile for the main thread's sampler, waiting twice as
+  // long after each failure, in milliseconds, before it goes uneroded for good
+  const _EROSION_TILE_ATTEMPTS = 4;
+  const _EROSION_RETRY_DELAY = 1000;
+
   class TerrainChunkManager {
     constructor(params) {
       this._Init(params);
@@ -28,39 +44,33 @@ export const terrain = (function () {
       this._shape = params.shape || "planet";
       this._shapeParams = params.shapeParams || {};
 
+      // The land map goes to the workers too, so make its URL absolute
+      if (this._shapeParams.landMap) {
+        this._shapeParams = Object.assign({}, this._shapeParams, {
+          landMap: new URL(this._shapeParams.landMap, document.baseURI).href,
+        });
+      }
+
       const loader = new THREE.TextureLoader();
       const noiseUniform = { value: null };
 
-      const diffuse = new textures.TextureAtlas(params);
-      diffuse.Load("diffuse", [
-        "./resources/dirt_01_diffuse-1024.png",
-        "./resources/grass1-albedo3-1024.png",
-        "./resources/sandyground-albedo-1024.png",
-        "./resources/worn-bumpy-rock-albedo-1024.png",
-        "./resources/rock-snow-ice-albedo-1024.png",
-        "./resources/snow-packed-albedo-1024.png",
-        "./resources/rough-wet-cobble-albedo-1024.png",
-        "./resources/sandy-rocks1-albedo-1024.png",
-      ]);
-      diffuse.onLoad = () => {
-        this._material.uniforms.diffuseMap.value =
-          diffuse.Info["diffuse"].atlas;
-      };
-
-      const normal = new textures.TextureAtlas(params);
-      normal.Load("normal", [
-        "./resources/dirt_01_normal-1024.jpg",
-        "./resources/grass1-normal-1024.jpg",
-        "./resources/sandyground-normal-1024.jpg",
-        "./resources/worn-bumpy-rock-normal-1024.jpg",
-        "./resources/rock-snow-ice-normal-1024.jpg",
-        "./resources/snow-packed-normal-1024.jpg",
-        "./resources/rough-wet-cobble-normal-1024.jpg",
-        "./resources/sandy-rocks1-normal-1024.jpg",
-      ]);
-      normal.onLoad = () => {
-        this._material.uniforms.normalMap.value = normal.Info["normal"].atlas;
+      // Workers resolve relative URLs against their own script, so keep
+      // the biome definitions URL absolute.
+      this._biomesUrl = new URL(
+        params.biomesUrl || biomes.DEFAULT_URL,
+        document.baseURI
+      ).href;
+      this._biomeSet = null;
+      this._splatter = null;
+
+      // Hashes of the biome definitions and land map the chunks are built
+      // from, part of every chunk's cache key. Chunks aren't picked until
+      // they're known.
+      this._versions = {
+        biomes: null,
+        landMap: null,
       };
+      this._biomesPending = true;
 
       this._material = new THREE.ShaderMaterial({
         uniforms: {
@@ -94,6 +104,13 @@ export const terrain = (function () {
           shadowFilterRadius: {
             value: 1.5,
           },
+          // Set per chunk while rendering, see TerrainChunk
+          morph: {
+            value: 0.0,
+          },
+          chunkOrigin: {
+            value: new THREE.Vector3(),
+          },
         },
         vertexShader: terrain_shader.VS,
         fragmentShader: terrain_shader.PS,
@@ -122,8 +139,17 @@ export const terrain = (function () {
         }
       );
 
+      // Built chunks are cached by the builder, and kept in IndexedDB across
+      // reloads while persist is on
+      params.guiParams.cache = {
+        persist: true,
+      };
+
       this._builder =
-        new terrain_builder_threaded.TerrainChunkRebuilder_Threaded();
+        new terrain_builder_threaded.TerrainChunkRebuilder_Threaded({
+          camera: params.camera,
+          cacheParams: params.guiParams.cache,
+        });
 
       this._shadowParams = {
         bias: 0.0008,
@@ -135,7 +161,15 @@ export const terrain = (function () {
 
       this._InitNoise(params);
       this._InitBiomes(params);
+      this._InitClimate(params);
+      this._InitTextures(params);
+      this._InitHeightSampler();
+      this._InitLod(params);
+      this._InitLandMap();
+      this._InitPhysics();
       this._InitTerrain(params);
+      this._InitCulling(params);
+      this._InitMemoryStats(params);
 
       // Initialize ocean for planet and ring-shaped terrain
       if (this._shape === "planet" || this._shape === "ring") {
@@ -172,20 +206,102 @@ export const terrain = (function () {
     }
 
     _InitNoise(params) {
+      const _Layer = (layer) =>
+        Object.assign(
+          {
+            enabled: true,
+            blend: "add",
+            mask: "",
+            maskMin: 0.0,
+            maskMax: 1.0,
+            landWeight: 0.0,
+            offset: 0.0,
+            noiseType: "simplex",
+            warpStrength: 1.0,
+            persistence: 0.5,
+            lacunarity: 2.0,
+            exponentiation: 1.0,
+          },
+          layer
+        );
+
+      // Bottom to top: continents with their coastlines, mountain belts on
+      // the continents, rolling hills inland and a little surface detail.
+      // "belts" is only a mask for the mountains.
       params.guiParams.noise = {
-        octaves: 13,
-        persistence: 0.5,
-        lacunarity: 1.6,
-        exponentiation: 7.5,
-        height: terrain_constants.NOISE_HEIGHT,
-        scale: terrain_constants.NOISE_SCALE,
-        seed: 1,
+        layers: [
+          _Layer({
+            name: "continents",
+            octaves: 6,
+            scale: terrain_constants.NOISE_SCALE * 8.0,
+            height: 800.0,
+            offset: -440.0,
+            landWeight: 0.7,
+            seed: 11,
+          }),
+          _Layer({
+            name: "belts",
+            blend: "mask",
+            noiseType: "ridged",
+            octaves: 3,
+            exponentiation: 1.5,
+            scale: terrain_constants.NOISE_SCALE * 4.0,
+            height: 1.0,
+            seed: 12,
+            mask: "continents",
+            maskMin: 0.45,
+            maskMax: 0.55,
+          }),
+          _Layer({
+            name: "mountains",
+            noiseType: "ridged",
+            octaves: 10,
+            lacunarity: 1.9,
+            exponentiation: 2.0,
+            scale: terrain_constants.NOISE_SCALE,
+            height: terrain_constants.NOISE_HEIGHT,
+            seed: 1,
+            mask: "belts",
+            maskMin: 0.3,
+            maskMax: 0.6,
+          }),
+          _Layer({
+            name: "hills",
+            noiseType: "billow",
+            octaves: 6,
+            exponentiation: 1.5,
+            scale: terrain_constants.NOISE_SCALE * 0.25,
+            height: 150.0,
+            seed: 13,
+            mask: "continents",
+            maskMin: 0.44,
+            maskMax: 0.52,
+          }),
+          _Layer({
+            name: "detail",
+            octaves: 4,
+            scale: 400.0,
+            height: 6.0,
+            offset: -3.0,
+            seed: 14,
+          }),
+        ],
+      };
+
+      // Strengths in [0, 1]; zero skips the erosion simulation entirely
+      params.guiParams.erosion = {
+        hydraulic: 0.0,
+        thermal: 0.0,
       };
 
       const onNoiseChanged = () => {
+        this._lod.Clear();
+        this._heightSampler.ParamsChanged();
         // Pass updated noise params to rebuild
-        this._builder.Rebuild(this._chunks, {
+        this._QueueRebuild({
           noiseParams: this._noiseParams,
+          erosionParams: this._erosionParams,
+          climateParams: this._climateParams,
           biomesParams: this._biomesParams || {},
           colourNoiseParams: this._colourNoiseParams || {},
           colourGeneratorParams: {
@@ -198,27 +314,62 @@ export const terrain = (function () {
       if (params.gui) {
         const noiseRollup = params.gui.addFolder("Terrain.Noise");
         noiseRollup
-          .add(params.guiParams.noise, "scale", 32.0, 4096.0)
-          .onChange(onNoiseChanged);
-        noiseRollup
-          .add(params.guiParams.noise, "octaves", 1, 20, 1)
+          .add(params.guiParams.erosion, "hydraulic", 0.0, 1.0)
+          .name("Hydraulic Erosion")
           .onChange(onNoiseChanged);
         noiseRollup
-          .add(params.guiParams.noise, "persistence", 0.25, 1.0)
-          .onChange(onNoiseChanged);
-        noiseRollup
-          .add(params.guiParams.noise, "lacunarity", 0.01, 4.0)
-          .onChange(onNoiseChanged);
-        noiseRollup
-          .add(params.guiParams.noise, "exponentiation", 0.1, 10.0)
-          .onChange(onNoiseChanged);
-        noiseRollup
-          .add(params.guiParams.noise, "height", 0, 20000)
+          .add(params.guiParams.erosion, "thermal", 0.0, 1.0)
+          .name("Thermal Erosion")
           .onChange(onNoiseChanged);
+
+        const layers = params.guiParams.noise.layers;
+        for (let i = 0; i < layers.length; i++) {
+          const layer = layers[i];
+          const masks = { none: "" };
+          for (let j = 0; j < i; j++) {
+            masks[layers[j].name] = layers[j].name;
+          }
+
+          const layerRollup = noiseRollup.addFolder(layer.name);
+          layerRollup.add(layer, "enabled").onChange(onNoiseChanged);
+          layerRollup
+            .add(layer, "blend", texture_splatter.BLEND_MODES)
+            .onChange(onNoiseChanged);
+          layerRollup.add(layer, "mask", masks).onChange(onNoiseChanged);
+          layerRollup.add(layer, "maskMin", 0.0, 1.0).onChange(onNoiseChanged);
+          layerRollup.add(layer, "maskMax", 0.0, 1.0).onChange(onNoiseChanged);
+          layerRollup
+            .add(layer, "noiseType", noise.NOISE_TYPES)
+            .onChange(onNoiseChanged);
+          layerRollup
+            .add(layer, "warpStrength", 0.0, 4.0)
+            .onChange(onNoiseChanged);
+          layerRollup
+            .add(layer, "scale", 32.0, 200000.0)
+            .onChange(onNoiseChanged);
+          layerRollup.add(layer, "octaves", 1, 20, 1).onChange(onNoiseChanged);
+          layerRollup
+            .add(layer, "persistence", 0.25, 1.0)
+            .onChange(onNoiseChanged);
+          layerRollup
+            .add(layer, "lacunarity", 0.01, 4.0)
+            .onChange(onNoiseChanged);
+          layerRollup
+            .add(layer, "exponentiation", 0.1, 10.0)
+            .onChange(onNoiseChanged);
+          layerRollup.add(layer, "height", 0, 20000).onChange(onNoiseChanged);
+          layerRollup
+            .add(layer, "offset", -5000, 5000)
+            .onChange(onNoiseChanged);
+          layerRollup.close();
+        }
       }
 
-      this._noise = new noise.Noise(params.guiParams.noise);
       this._noiseParams = params.guiParams.noise;
+      this._heightGenerator = new texture_splatter.LayeredHeightGenerator(
+        this._noiseParams
+      );
+      this._erosionParams = params.guiParams.erosion;
 
       params.guiParams.heightmap = {
         height: 16,
@@ -246,8 +397,9 @@ export const terrain = (function () {
 
       const onNoiseChanged = () => {
         // Pass updated biome params to rebuild
-        this._builder.Rebuild(this._chunks, {
+        this._QueueRebuild({
           noiseParams: this._noiseParams || {},
+          climateParams: this._climateParams,
           biomesParams: this._biomesParams,
           colourNoiseParams: this._colourNoiseParams || {},
           colourGeneratorParams: {
@@ -259,6 +411,9 @@ export const terrain = (function () {
 
       if (params.gui) {
         const noiseRollup = params.gui.addFolder("Terrain.Biomes");
+        noiseRollup
+          .add(params.guiParams.biomes, "noiseType", noise.NOISE_TYPES)
+          .onChange(onNoiseChanged);
         noiseRollup
           .add(params.guiParams.biomes, "scale", 64.0, 4096.0)
           .onChange(onNoiseChanged);
@@ -276,7 +431,6 @@ export const terrain = (function () {
           .onChange(onNoiseChanged);
       }
 
-      this._biomes = new noise.Noise(params.guiParams.biomes);
       this._biomesParams = params.guiParams.biomes;
 
       const colourParams = {
@@ -293,6 +447,302 @@ export const terrain = (function () {
       this._colourNoiseParams = colourParams;
     }
 
+    _InitClimate(params) {
+      // The Terrain.Biomes noise is the large scale moisture field
+      params.guiParams.climate = Object.assign({}, climate.DEFAULT_PARAMS);
+
+      const onClimateChanged = () => {
+        this._QueueRebuild({
+          climateParams: this._climateParams,
+        });
+      };
+
+      if (params.gui) {
+        const climateRollup = params.gui.addFolder("Terrain.Climate");
+        climateRollup
+          .add(params.guiParams.climate, "equatorTemperature", 0.0, 1.0)
+          .onChange(onClimateChanged);
+        climateRollup
+          .add(params.guiParams.climate, "poleTemperature", 0.0, 1.0)
+          .onChange(onClimateChanged);
+        climateRollup
+          .add(params.guiParams.climate, "lapseRate", 0.0, 2.0)
+          .name("lapseRate (/km)")
+          .onChange(onClimateChanged);
+        climateRollup
+          .add(params.guiParams.climate, "circulation", 0.0, 0.5)
+          .onChange(onClimateChanged);
+        climateRollup
+          .add(params.guiParams.climate, "coastal", 0.0, 0.5)
+          .onChange(onClimateChanged);
+        climateRollup
+          .add(params.guiParams.climate, "coastalFalloff", 10.0, 2000.0)
+          .onChange(onClimateChanged);
+      }
+
+      this._climateParams = params.guiParams.climate;
+      this._climate = new climate.ClimateModel({
+        shape: this._shape,
+        climateParams: this._climateParams,
+        moistureParams: this._biomesParams,
+      });
+    }
+
+    _InitTextures(params) {
+      biomes
+        .Load(this._biomesUrl)
+        .then((biomeSet) => {
+          this._biomeSet = biomeSet;
+          this._versions.biomes = biomeSet.Version;
+          this._splatter = new texture_splatter.TextureSplatter({
+            biomes: biomeSet,
+            colourNoise: this._colourNoise,
+          });
+
+          // Atlas layers follow the order of the texture slots
+          const diffuse = new textures.TextureAtlas(params);
+          diffuse.Load(
+            "diffuse",
+            biomeSet.Textures.map((t) => t.diffuse)
+          );
+          diffuse.onLoad = () => {
+            this._material.uniforms.diffuseMap.value =
+              diffuse.Info["diffuse"].atlas;
+          };
+
+          const normal = new textures.TextureAtlas(params);
+          normal.Load(
+            "normal",
+            biomeSet.Textures.map((t) => t.normal)
+          );
+          normal.onLoad = () => {
+            this._material.uniforms.normalMap.value =
+              normal.Info["normal"].atlas;
+          };
+        })
+        .catch((err) => {
+          console.error("Failed to load biome definitions", err);
+        })
+        .finally(() => {
+          this._biomesPending = false;
+        });
+    }
+
+    _InitHeightSampler() {
+      // Shares the live noise params object with the GUI and the worker
+      // messages, so slider changes are picked up without rebuilding this.
+      this._heightSampler = new terrain_height.TerrainHeightSampler({
+        radius: this._radius,
+        center: this._center,
+        shape: this._shape,
+        shapeParams: this._shapeParams,
+        heightParams: this._noiseParams,
+        erosionParams: this._erosionParams,
+        heightGenerator: this._heightGenerator,
+        requestErosionTile: (version, face, tx, ty) =>
+          this._RequestErosionTile(version, face, tx, ty),
+      });
+      this._erosionRequests = new Set();
+      this._erosionFailures = new Map();
+    }
+
+    // Collisions and raycasts sample erosion here, but simulating its tiles
+    // would hitch the frame, so the workers do it. Until a tile arrives its
+    // area goes uneroded, as does everything while the land map the tiles
+    // depend on is loading. A failed tile stays requested until it may be
+    // tried again.
+    _RequestErosionTile(version, face, tx, ty) {
+      const key = version + "|" + face + "/" + tx + "/" + ty;
+      if (this._landMapPending || this._erosionRequests.has(key)) {
+        return;
+      }
+      this._erosionRequests.add(key);
+
+      this._builder
+        .BuildErosionTile({
+          radius: this._radius,
+          center: [this._center.x, this._center.y, this._center.z],
+          shape: this._shape,
+          shapeParams: this._shapeParams,
+          noiseParams: this._noiseParams,
+          erosionParams: this._erosionParams,
+          face: face,
+          tx: tx,
+          ty: ty,
+        })
+        .then((m) => {
+          // A tile simulated from other params than the sampler's is no use
+          // to it either
+          if (
+            m.subject == "build_erosion_tile_result" &&
+            m.data.version == version
+          ) {
+            this._erosionRequests.delete(key);
+            this._erosionFailures.delete(key);
+            this._heightSampler.AddErosionTile(
+              version,
+              face,
+              tx,
+              ty,
+              m.data.tile
+            );
+            return;
+          }
+
+          const failures = (this._erosionFailures.get(key) || 0) + 1;
+          this._erosionFailures.set(key, failures);
+          if (failures >= _EROSION_TILE_ATTEMPTS) {
+            console.error("Failed to build erosion tile, giving up", m.error);
+            return;
+          }
+          console.warn("Failed to build erosion tile, retrying", m.error);
+          setTimeout(() => {
+            this._erosionRequests.delete(key);
+          }, _EROSION_RETRY_DELAY * 2 ** (failures - 1));
+        });
+    }
+
+    _InitLod(params) {
+      params.guiParams.lod = {
+        targetError: 4.0,
+        hysteresis: 0.15,
+      };
+
+      if (params.gui) {
+        const lodRollup = params.gui.addFolder("Terrain.LOD");
+        lodRollup
+          .add(params.guiParams.lod, "targetError", 0.25, 32.0)
+          .name("targetError (px)");
+        lodRollup.add(params.guiParams.lod, "hysteresis", 0.0, 1.0);
+      }
+
+      // Probes without erosion, far away nodes would simulate its tiles
+      this._lodSampler = new terrain_height.TerrainHeightSampler({
+        radius: this._radius,
+        center: this._center,
+        shape: this._shape,
+        shapeParams: this._shapeParams,
+        heightParams: this._noiseParams,
+        heightGenerator: this._heightGenerator,
+      });
+      this._lod = new terrain_lod.ScreenSpaceError({
+        sampler: this._lodSampler,
+        radius: this._radius,
+        camera: params.camera,
+        graphics: params.graphics,
+        lodParams: params.guiParams.lod,
+      });
+    }
+
+    // No chunks are picked until the ring's land map has loaded, so the
+    // samplers here agree with the workers from the first chunk on, and its
+    // version is in their cache keys. If it fails to load, the ring goes
+    // without it everywhere.
+    _InitLandMap() {
+      this._landMapPending = false;
+      const url = this._shapeParams.landMap;
+      if (!url) {
+        return;
+      }
+
+      this._landMapPending = true;
+      land_map
+        .Load(url)
+        .then((landMap) => {
+          this._versions.landMap = landMap.Version;
+          this._heightSampler.SetLandMap(landMap);
+          this._lodSampler.SetLandMap(landMap);
+          this._lod.Clear();
+        })
+        .catch((err) => {
+          console.error("Failed to load land map", err);
+          this._shapeParams = Object.assign({}, this._shapeParams, {
+            landMap: null,
+          });
+          this._heightSampler.SetShapeParams(this._shapeParams);
+          this._lodSampler.SetShapeParams(this._shapeParams);
+          this._lod.Clear();
+        })
+        .finally(() => {
+          this._landMapPending = false;
+        });
+    }
+
+    _InitCulling(params) {
+      params.guiParams.culling = {
+        frustum: true,
+        horizon: true,
+      };
+
+      this._culler = new terrain_culling.ChunkCuller({
+        camera: params.camera,
+        cullingParams: params.guiParams.culling,
+      });
+      this._occluder = new THREE.Sphere();
+
+      if (params.gui) {
+        const cullingRollup = params.gui.addFolder("Terrain.Culling");
+        cullingRollup.add(params.guiParams.culling, "frustum");
+        cullingRollup.add(params.guiParams.culling, "horizon");
+
+        const stats = this._culler.Stats;
+        for (let k in stats) {
+          cullingRollup.add(stats, k).listen().disable();
+        }
+      }
+    }
+
+    // Live geometry count from the renderer, which stays flat as chunks are
+    // recycled, the chunks waiting in the builder's pool, and its cache
+    _InitMemoryStats(params) {
+      this._memoryStats = {
+        geometries: 0,
+        pooledChunks: 0,
+      };
+
+      if (params.gui) {
+        const memoryRollup = params.gui.addFolder("Terrain.Memory");
+        for (let k in this._memoryStats) {
+          memoryRollup.add(this._memoryStats, k).listen().disable();
+        }
+
+        memoryRollup.add(params.guiParams.cache, "persist");
+        memoryRollup.add({ clear: () => this._builder.ClearCache() }, "clear");
+        const cacheStats = this._builder.CacheStats;
+        for (let k in cacheStats) {
+          memoryRollup.add(cacheStats, k).listen().disable();
+        }
+      }
+    }
+
+    _UpdateMemoryStats() {
+      const graphics = this._params.graphics;
+      if (graphics) {
+        this._memoryStats.geometries = graphics.Renderer.info.memory.geometries;
+      }
+      this._memoryStats.pooledChunks = this._builder.PooledChunks;
+    }
+
+    _InitPhysics() {
+      // Planets use plain gravity toward the centre, set by whoever walks on
+      // them. Rings get their apparent gravity from spin.
+      if (this._shape !== "ring") {
+        this._physics = null;
+        return;
+      }
+
+      this._physics = new ring_physics.RingSpinPhysics(
+        Object.assign(
+          {
+            center: this._center,
+            radius: this._radius,
+            tilt: ring_geometry.Tilt(this._shapeParams),
+          },
+          ring_geometry.Walls(this._shapeParams)
+        )
+      );
+    }
+
     _InitTerrain(params) {
       params.guiParams.terrain = {
         wireframe: false,
@@ -301,7 +751,11 @@ export const terrain = (function () {
         shadowFilterRadius: this._shadowParams.filterRadius,
       };
 
-      this._groups = [...new Array(6)].map((_) => new THREE.Group());
+      // The ring has as many roots as fit around it, each with its group
+      this._quadtree = this._CreateQuadtree();
+      this._groups = [...new Array(this._quadtree.Sides)].map(
+        (_) => new THREE.Group()
+      );
       params.scene.add(...this._groups);
 
       if (params.gui) {
@@ -387,63 +841,87 @@ export const terrain = (function () {
       uniforms.shadowFilterRadius.value = this._shadowParams.filterRadius;
     }
 
-    _CreateTerrainChunk(group, groupTransform, offset, width, resolution) {
+    // Chunk for a quadtree leaf on the root with the given transform
+    _CreateTerrainChunk(node, groupTransform, resolution, morph) {
       const params = {
-        group: group,
+        group: this._groups[node.side],
         transform: groupTransform,
         material: this._material,
-        width: width,
-        offset: offset,
+        width: node.size.x,
+        height: node.size.y,
+        halved: node.halved,
+        offset: node.center.clone(),
         origin: this._params.camera.position.clone(),
         radius: this._radius,
         center: this._center,
         shape: this._shape,
         shapeParams: this._shapeParams,
         resolution: resolution,
-        biomeGenerator: this._biomes,
-        colourGenerator: new texture_splatter.TextureSplatter({
-          biomeGenerator: this._biomes,
-          colourNoise: this._colourNoise,
-        }),
-        heightGenerators: [
-          new texture_splatter.HeightGenerator(
-            this._noise,
-            offset,
-            100000,
-            100000 + 1
-          ),
-        ],
+        morph: morph,
+        biomesUrl: this._biomesUrl,
+        versions: this._versions,
+        heightGenerator: this._heightGenerator,
         noiseParams: this._noiseParams,
+        erosionParams: this._erosionParams,
+        climateParams: this._climateParams,
         colourNoiseParams: this._colourNoiseParams,
         biomesParams: this._biomesParams,
         colourGeneratorParams: {
           biomeGeneratorParams: this._biomesParams,
           colourNoiseParams: this._colourNoiseParams,
         },
-        heightGeneratorsParams: {
-          min: 100000,
-          max: 100000 + 1,
-        },
       };
 
       return this._builder.AllocateChunk(params);
     }
 
+    // Rebuilds every chunk with updatedParams once changes stop coming in.
+    // The old meshes stay up until their replacements arrive.
+    _QueueRebuild(updatedParams) {
+      this._pendingRebuild = Object.assign(
+        this._pendingRebuild || {},
+        updatedParams
+      );
+      this._rebuildTimer = _REBUILD_DELAY;
+    }
+
+    _UpdateRebuild(timeInSeconds) {
+      if (!this._pendingRebuild) {
+        return;
+      }
+      this._rebuildTimer -= timeInSeconds;
+      if (this._rebuildTimer > 0.0) {
+        return;
+      }
+      this._builder.Rebuild(this._chunks, this._pendingRebuild);
+      this._pendingRebuild = null;
+    }
+
     Update(timeInSeconds) {
+      this._UpdateRebuild(timeInSeconds);
       this._builder.Update();
-      if (!this._builder.Busy) {
+      if (
+        !this._builder.Busy &&
+        !this._biomesPending &&
+        !this._landMapPending
+      ) {
         this._UpdateVisibleChunks_Quadtree();
       }
 
       this._UpdateShadowUniforms();
+      this._UpdateMemoryStats();
 
       const cameraPosition = this._params.camera.position;
+      const occluder = this._Occluder();
+      this._culler.Begin(cameraPosition, occluder);
 
       for (let k in this._chunks) {
         this._chunks[k].chunk.Update(cameraPosition);
+        this._chunks[k].chunk.Cull(this._culler);
       }
-      for (let c of this._builder._old) {
+      for (let c of this._builder.RetiredChunks) {
         c.chunk.Update(cameraPosition);
+        c.chunk.Cull(this._culler);
       }
 
       if (this._params.scattering) {
@@ -454,6 +932,7 @@ export const terrain = (function () {
 
       // Update ocean if it exists
       if (this._ocean) {
+        this._ocean.SetOccluder(occluder);
         this._ocean.Update(timeInSeconds);
       }
 
@@ -463,105 +942,99 @@ export const terrain = (function () {
       }
     }
 
+    // The quadtree persists from frame to frame and reports the leaves that
+    // split or merged. Chunks are keyed by its node IDs.
     _UpdateVisibleChunks_Quadtree() {
-      function _Key(c) {
-        return (
-          c.position[0] +
-          "/" +
-          c.position[1] +
-          " [" +
-          c.size +
-          "]" +
-          " [" +
-          c.index +
-          "]"
-        );
-      }
-
-      const q = new quadtree.CubeQuadTree({
-        radius: this._radius,
-        min_node_size: terrain_constants.QT_MIN_CELL_SIZE,
-      });
-
       const cameraPosition = this._params.camera.position.clone();
       if (this._shape === "ring") {
         cameraPosition.sub(this._center);
       }
-      q.Insert(cameraPosition);
-
-      const sides = q.GetChildren();
-
-      let newTerrainChunks = {};
-      const center = new THREE.Vector3();
-      const dimensions = new THREE.Vector3();
-      for (let i = 0; i < sides.length; i++) {
-        for (let c of sides[i].children) {
-          c.bounds.getCenter(center);
-          c.bounds.getSize(dimensions);
-
-          const child = {
-            index: i,
-            group: this._groups[i],
-            transform: sides[i].transform,
-            position: [center.x, center.y, center.z],
-            bounds: c.bounds,
-            size: dimensions.x,
-          };
-
-          const k = _Key(child);
-          newTerrainChunks[k] = child;
+      this._lod.Update(terrain_constants.QT_MIN_CELL_RESOLUTION);
+      const changes = this._quadtree.Update(cameraPosition);
+
+      const recycle = [];
+      for (let node of changes.removed) {
+        if (node.id in this._chunks) {
+          recycle.push(this._chunks[node.id]);
+          delete this._chunks[node.id];
         }
       }
+      this._builder.RetireChunks(recycle);
 
-      // Store metadata from new quadtree chunks before intersection
-      const newChunksMetadata = {};
-      for (let k in newTerrainChunks) {
-        newChunksMetadata[k] = {
-          bounds: newTerrainChunks[k].bounds,
-          transform: newTerrainChunks[k].transform,
+      for (let node of changes.added) {
+        const transform = this._quadtree.Transform(node.side);
+        const morph = this._MorphRange(node, transform, null);
+        this._chunks[node.id] = {
+          node: node,
+          bounds: node.bounds,
+          transform: transform,
+          morph: morph,
+          chunk: this._CreateTerrainChunk(
+            node,
+            transform,
+            terrain_constants.QT_MIN_CELL_RESOLUTION,
+            morph
+          ),
         };
       }
 
-      const intersection = utils.DictIntersection(
-        this._chunks,
-        newTerrainChunks
-      );
-      const difference = utils.DictDifference(newTerrainChunks, this._chunks);
-      const recycle = Object.values(
-        utils.DictDifference(this._chunks, newTerrainChunks)
-      );
-
-      this._builder.RetireChunks(recycle);
-
-      newTerrainChunks = intersection;
-
-      // Preserve bounds and transform for existing chunks from new quadtree data
-      for (let k in newTerrainChunks) {
-        if (newChunksMetadata[k]) {
-          newTerrainChunks[k].bounds = newChunksMetadata[k].bounds;
-          newTerrainChunks[k].transform = newChunksMetadata[k].transform;
-        }
+      // Split distances follow the field of view and targetError
+      for (let k in this._chunks) {
+        const c = this._chunks[k];
+        c.chunk.SetMorph(this._MorphRange(c.node, c.transform, c.morph));
       }
+    }
 
-      for (let k in difference) {
-        const [xp, yp, zp] = difference[k].position;
+    // A cube of faces around the planet, or only the ring's floor
+    _CreateQuadtree() {
+      const params = {
+        radius: this._radius,
+        min_node_size: terrain_constants.QT_MIN_CELL_SIZE,
+        split_distance: (node, localToWorld) =>
+          this._lod.SplitDistance(node, localToWorld),
+        merge_distance: (node, localToWorld) =>
+          this._lod.MergeDistance(node, localToWorld),
+      };
+      if (this._shape === "ring") {
+        params.width = this._shapeParams.width;
+        params.tilt = ring_geometry.Tilt(this._shapeParams);
+        params.covers = (a0, a1) =>
+          ring_geometry.CoversArc(this._shapeParams, a0, a1);
+        return new quadtree.RingQuadTree(params);
+      }
+      return new quadtree.CubeQuadTree(params);
+    }
 
-        const offset = new THREE.Vector3(xp, yp, zp);
-        newTerrainChunks[k] = {
-          position: [xp, zp],
-          bounds: difference[k].bounds,
-          transform: difference[k].transform,
-          chunk: this._CreateTerrainChunk(
-            difference[k].group,
-            difference[k].transform,
-            offset,
-            difference[k].size,
-            terrain_constants.QT_MIN_CELL_RESOLUTION
-          ),
-        };
+    // Sphere the terrain never dips below, which hides whatever is past its
+    // horizon. The ring floor curves towards the camera, so it has none.
+    _Occluder() {
+      if (this._shape !== "planet") {
+        return null;
       }
+      const depth =
+        this._heightGenerator.MinHeight - this._heightSampler.ErosionDepth;
+      this._occluder.center.copy(this._center);
+      this._occluder.radius = Math.max(this._radius + depth, 0.0);
+      return this._occluder;
+    }
 
-      this._chunks = newTerrainChunks;
+    // Where a quadtree leaf morphs from its parent's shape: the parent's
+    // centre and split distance, in world space. Null for the roots. The
+    // centre never moves, so a range the leaf already has is only given the
+    // latest distance, which runs every frame.
+    _MorphRange(node, localToWorld, range) {
+      if (!node.parent) {
+        return null;
+      }
+      if (!range) {
+        const center = node.parent.sphereCenter.clone();
+        if (this._shape === "ring") {
+          center.add(this._center);
+        }
+        range = { center: center, distance: 0.0 };
+      }
+      range.distance = this._lod.SplitDistance(node.parent, localToWorld);
+      return range;
     }
 
     UpdateSunDirection(sunDirection) {
@@ -575,6 +1048,225 @@ export const terrain = (function () {
       }
     }
 
+    // Height of the terrain above the undisplaced surface directly under
+    // worldPosition (along the planet radius, or the ring's inward radial).
+    GetHeightAt(worldPosition) {
+      return this._heightSampler.SamplePosition(worldPosition).height;
+    }
+
+    // Direction under (x, y) in the space of a chunk's quadtree root, its
+    // bounds and transform, as GetSurfacePoint takes it.
+    GetChunkDirection(x, y, transform, target) {
+      return this._heightSampler.LocalDirection(x, y, transform, target);
+    }
+
+    // Displaced surface point for a direction from the terrain centre.
+    // Returns { position, up, height, edge, heightMask, latitude, base }.
+    GetSurfacePoint(direction, target) {
+      return this._heightSampler.SampleDirection(direction, target);
+    }
+
+    // Same as GetSurfacePoint, but for the surface under a world position.
+    GetSurfacePointAt(worldPosition, target) {
+      return this._heightSampler.SamplePosition(worldPosition, target);
+    }
+
+    // Marches ray against the procedural heightfield and refines the first
+    // ground crossing by bisection. Returns null on a miss, otherwise
+    // { position, normal, up, height, distance, biome, direction, chunkKey }.
+    Raycast(ray, options) {
+      options = options || {};
+      const sampler = this._heightSampler;
+      const maxDistance =
+        options.maxDistance !== undefined
+          ? options.maxDistance
+          : this._radius * 4.0;
+      const maxSteps = options.maxSteps || 1024;
+      const maxHeight = this._heightGenerator.MaxHeight + sampler.ErosionDepth;
+
+      const sample = sampler.NewSample();
+      const point = new THREE.Vector3();
+
+      let t = 0.0;
+      let tEnd = maxDistance;
+      if (this._shape !== "ring") {
+        // Skip straight to the shell the terrain can occupy
+        const shell = new THREE.Sphere(this._center, this._radius + maxHeight);
+        if (!shell.containsPoint(ray.origin)) {
+          if (!ray.intersectSphere(shell, point)) {
+            return null;
+          }
+          t = ray.origin.distanceTo(point);
+        }
+      }
+
+      const _Altitude = (d) => {
+        ray.at(d, point);
+        return sampler.Altitude(point, sample);
+      };
+
+      let prevT = t;
+      let prevAltitude = _Altitude(t);
+      for (let i = 0; i < maxSteps && t < tEnd; i++) {
+        const minStep = Math.max(0.05, t * 1e-4);
+        t += Math.max(minStep, Math.abs(prevAltitude) * 0.5);
+        t = Math.min(t, tEnd);
+
+        const altitude = _Altitude(t);
+        if (
+          prevAltitude > 0.0 &&
+          altitude <= 0.0 &&
+          sampler.HasSurface(sample)
+        ) {
+          return this._RefineRaycastHit(ray, prevT, t, sample);
+        }
+
+        prevT = t;
+        prevAltitude = altitude;
+      }
+
+      return null;
+    }
+
+    _RefineRaycastHit(ray, tAbove, tBelow, sample) {
+      const sampler = this._heightSampler;
+      const point = new THREE.Vector3();
+
+      for (let i = 0; i < 32; i++) {
+        const tMid = (tAbove + tBelow) * 0.5;
+        ray.at(tMid, point);
+        if (sampler.Altitude(point, sample) > 0.0) {
+          tAbove = tMid;
+        } else {
+          tBelow = tMid;
+        }
+      }
+
+      ray.at(tBelow, point);
+      sampler.SamplePosition(point, sample);
+      const position = sample.position.clone();
+      const up = sample.up.clone();
+
+      // Normal from the displaced surface either side of the hit
+      const eps = Math.max(0.5, tBelow * 1e-4);
+      const tangent = new THREE.Vector3(0, 1, 0);
+      if (Math.abs(tangent.dot(up)) > 0.9) {
+        tangent.set(1, 0, 0);
+      }
+      tangent.cross(up).normalize();
+      const bitangent = up.clone().cross(tangent).normalize();
+
+      const p1 = sampler.SamplePosition(
+        position.clone().addScaledVector(tangent, eps)
+      ).position;
+      const p2 = sampler.SamplePosition(
+        position.clone().addScaledVector(bitangent, eps)
+      ).position;
+      const normal = p1.sub(position).cross(p2.sub(position)).normalize();
+      if (normal.dot(up) < 0.0) {
+        normal.negate();
+      }
+
+      const biome = this._GetBiomeName(sample, normal, up);
+      const direction = sampler.DirectionFromPosition(position);
+
+      return {
+        position: position,
+        normal: normal,
+        up: up,
+        height: sample.height,
+        distance: tBelow,
+        biome: biome,
+        direction: direction,
+        chunkKey: this._FindChunkKey(direction),
+      };
+    }
+
+    // Strongest biome from the definitions, matching the worker's splats.
+    // Null until the definitions have loaded.
+    _GetBiomeName(sample, normal, up) {
+      const biome = this.GetBiome(sample, normal, up);
+      return biome ? biome.name : null;
+    }
+
+    // Strongest biome definition (see biomes.BiomeSet) at a height sample,
+    // as the chunks are splatted, or null until the definitions load.
+    // Without a normal the ground counts as flat.
+    GetBiome(sample, normal, up) {
+      if (!this._splatter) {
+        return null;
+      }
+      const p = new THREE.Vector3(sample.base.x, sample.base.y, sample.height);
+      return this._splatter.GetBiome(p, normal, up, this.GetClimate(sample));
+    }
+
+    // Chunk whose root-space bounds contain the given cube-sphere direction.
+    _FindChunkKey(direction) {
+      const d = direction;
+      const major = Math.max(Math.abs(d.x), Math.abs(d.y), Math.abs(d.z));
+      if (major <= 0.0) {
+        return null;
+      }
+
+      const isRing = this._shape === "ring";
+      const arcRadius = isRing
+        ? quadtree.RingLayout(this._radius, this._shapeParams.width).arcRadius
+        : 0.0;
+
+      const local = new THREE.Vector3();
+      const worldToLocal = new THREE.Matrix4();
+      const tolerance = 1e-3 * this._radius;
+      for (let k in this._chunks) {
+        const c = this._chunks[k];
+        if (!c.bounds || !c.transform) {
+          continue;
+        }
+
+        worldToLocal.copy(c.transform).invert();
+        if (isRing) {
+          // Angle around the ring from the root's centre, and the axial
+          // offset, the inverse of quadtree.RingPoint. Ring roots only
+          // rotate, so this takes the direction into the root's frame.
+          local.copy(d).applyMatrix4(worldToLocal);
+          local.set(
+            Math.atan2(local.x, local.z) * arcRadius,
+            local.y * this._radius,
+            0.0
+          );
+        } else {
+          local.copy(d).multiplyScalar(this._radius / major);
+          local.applyMatrix4(worldToLocal);
+        }
+
+        if (
+          Math.abs(local.z) < tolerance &&
+          local.x >= c.bounds.min.x &&
+          local.x <= c.bounds.max.x &&
+          local.y >= c.bounds.min.y &&
+          local.y <= c.bounds.max.y
+        ) {
+          return k;
+        }
+      }
+      return null;
+    }
+
+    // Picks the terrain under a normalized device coordinate of camera.
+    PickScreenPoint(ndc, camera, options) {
+      camera = camera || this._params.camera;
+      const raycaster = new THREE.Raycaster();
+      raycaster.setFromCamera(ndc, camera);
+      return this.Raycast(raycaster.ray, options);
+    }
+
+    GetPhysics() {
+      return this._physics;
+    }
+
+    GetHeightSampler() {
+      return this._heightSampler;
+    }
+
     GetChunks() {
       return this._chunks;
     }
@@ -587,6 +1279,12 @@ export const terrain = (function () {
       return this._scenery;
     }
 
+    // Temperature and moisture at a GetSurfacePoint sample, as the chunk
+    // workers see them.
+    GetClimate(sample, target) {
+      return this._climate.Get(sample, target);
+    }
+
     SetEnabled(enabled) {
       if (enabled) {
         // Add terrain groups back to scene
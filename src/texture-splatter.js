@@ -1,22 +1,13 @@
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.181.0/build/three.module.js';
 
 import {math} from './math.js';
-import {spline} from './spline.js';
-import {terrain_constants} from './terrain-constants.js';
+import {noise} from './noise.js';
 
 
 export const texture_splatter = (function() {
 
-  const _HEIGHT_NORMALIZATION = terrain_constants.NOISE_HEIGHT / 10.0;
-
   const _WHITE = new THREE.Color(0x808080);
 
-  const _DEEP_OCEAN = new THREE.Color(0x20020FF);
-  const _SHALLOW_OCEAN = new THREE.Color(0x8080FF);
-  const _BEACH = new THREE.Color(0xd9d592);
-  const _SNOW = new THREE.Color(0xFFFFFF);
-  const _FOREST_BOREAL = new THREE.Color(0x29c100);
-  
   const _GREEN = new THREE.Color(0x80FF80);
   const _RED = new THREE.Color(0xFF8080);
   const _BLACK = new THREE.Color(0x000000);
@@ -42,147 +33,232 @@ export const texture_splatter = (function() {
   }
 
 
-  class HeightGenerator {
-    constructor(generator, position, minRadius, maxRadius) {
-      this._position = position.clone();
-      this._radius = [minRadius, maxRadius];
-      this._generator = generator;
+  const _BLEND_MODES = ['add', 'max', 'multiply', 'mask'];
+
+  // Sums a stack of noise layers, bottom to top. Each layer's params are a
+  // noise.Noise params object plus:
+  //  - name: used by later layers to refer to this one as a mask
+  //  - blend: 'add' (height + offset), 'max', 'multiply' (scales the height
+  //    so far by the layer's [0, 1] value) or 'mask' (contributes nothing,
+  //    only used as a mask)
+  //  - offset: metres added to the layer's height, e.g. to sink seas
+  //  - mask, maskMin, maskMax: name of an earlier layer whose value is
+  //    smoothstepped between maskMin and maskMax to fade this one in
+  //  - landWeight: how far the layer's [0, 1] value is pulled towards the
+  //    land value of an authored land map (see land_map), where there is one
+  class LayeredHeightGenerator {
+    constructor(params) {
+      this._params = params;
+      this._Init();
     }
 
-    Get(x, y, z) {
-      return [this._generator.Get(x, y, z), 1];
+    _Init() {
+      this._noises = this._params.layers.map(l => new noise.Noise(l));
+      this._values = new Float32Array(this._noises.length);
     }
-  }
 
+    _MaskWeight(index) {
+      const layers = this._params.layers;
+      const layer = layers[index];
+      if (!layer.mask) {
+        return 1.0;
+      }
 
-  class TextureSplatter {
-    constructor(params) {
-      const _colourLerp = (t, p0, p1) => {
-        const c = p0.clone();
+      let v = null;
+      for (let i = 0; i < index; i++) {
+        if (layers[i].name == layer.mask && layers[i].enabled !== false) {
+          v = this._values[i];
+        }
+      }
+      if (v === null) {
+        return 1.0;
+      }
+      const lo = layer.maskMin !== undefined ? layer.maskMin : 0.0;
+      const hi = layer.maskMax !== undefined ? layer.maskMax : 1.0;
+      const t = math.sat((v - lo) / Math.max(hi - lo, 1e-5));
+      return t * t * (3.0 - 2.0 * t);
+    }
 
-        return c.lerp(p1, t);
-      };
-      this._colourSpline = [
-        new spline.LinearSpline(_colourLerp),
-        new spline.LinearSpline(_colourLerp)
-      ];
-
-      // Arid
-      this._colourSpline[0].AddPoint(0.0, new THREE.Color(0xb7a67d));
-      this._colourSpline[0].AddPoint(0.5, new THREE.Color(0xf1e1bc));
-      this._colourSpline[0].AddPoint(1.0, _SNOW);
-
-      // Humid
-      this._colourSpline[1].AddPoint(0.0, _FOREST_BOREAL);
-      this._colourSpline[1].AddPoint(0.5, new THREE.Color(0xcee59c));
-      this._colourSpline[1].AddPoint(1.0, _SNOW);
-
-      this._oceanSpline = new spline.LinearSpline(_colourLerp);
-      this._oceanSpline.AddPoint(0, _DEEP_OCEAN);
-      this._oceanSpline.AddPoint(0.03, _SHALLOW_OCEAN);
-      this._oceanSpline.AddPoint(0.05, _SHALLOW_OCEAN);
+    // Upper bound on the height the stack can produce
+    get MaxHeight() {
+      let h = 0.0;
+      for (let layer of this._params.layers) {
+        if (layer.enabled === false) {
+          continue;
+        }
+        const top = layer.height + (layer.offset || 0.0);
+        if (layer.blend == 'max') {
+          h = Math.max(h, top);
+        } else if (layer.blend != 'multiply' && layer.blend != 'mask') {
+          h += Math.max(0.0, top);
+        }
+      }
+      return h;
+    }
 
-      this._params = params;
+    // Lower bound on the height the stack can produce
+    get MinHeight() {
+      let h = 0.0;
+      for (let layer of this._params.layers) {
+        if (layer.enabled === false) {
+          continue;
+        }
+        const offset = layer.offset || 0.0;
+        const bottom = Math.min(offset, layer.height + offset);
+        if (layer.blend != 'max' && layer.blend != 'multiply' &&
+            layer.blend != 'mask') {
+          h += Math.min(0.0, bottom);
+        }
+      }
+      return h;
     }
 
-    _BaseColour(x, y, z) {
-      const m = this._params.biomeGenerator.Get(x, y, z);
-      const h = math.sat(z / 100.0);
+    // land is the land map's value at the point, or null without a map
+    Get(x, y, z, land) {
+      const layers = this._params.layers;
 
-      const c1 = this._colourSpline[0].Get(h);
-      const c2 = this._colourSpline[1].Get(h);
+      let h = 0.0;
+      for (let i = 0; i < layers.length; i++) {
+        const layer = layers[i];
+        if (layer.enabled === false) {
+          continue;
+        }
 
-      let c = c1.lerp(c2, m);
+        let n = this._noises[i].GetNormalized(x, y, z);
+        if (layer.landWeight > 0.0 && land !== null && land !== undefined) {
+          n = math.lerp(layer.landWeight, n, land);
+        }
+        const m = this._MaskWeight(i);
+        this._values[i] = n * m;
+        if (m <= 0.0) {
+          continue;
+        }
 
-      if (h < 0.1) {
-        c = c.lerp(new THREE.Color(0x54380e), 1.0 - math.sat(h / 0.05));
+        const v = n * layer.height + (layer.offset || 0.0);
+        switch (layer.blend) {
+          case 'max':
+            h += Math.max(0.0, v - h) * m;
+            break;
+          case 'multiply':
+            h *= 1.0 - m + n * m;
+            break;
+          case 'mask':
+            break;
+          default:
+            h += v * m;
+            break;
+        }
       }
-      return c;      
+      return [h, 1];
     }
+  }
 
-    _Colour(x, y, z) {
-      const c = this._BaseColour(x, y, z);
-      const r = this._params.colourNoise.Get(x, y, z) * 2.0 - 1.0;
 
-      c.offsetHSL(0.0, 0.0, r * 0.01);
-      return c;
+  // Colours and splat weights from a biomes.BiomeSet. Positions are
+  // (x, y, height) as packed by the chunk worker, climate is the
+  // { temperature, moisture } a climate.ClimateModel gives for that point.
+  class TextureSplatter {
+    constructor(params) {
+      this._params = params;
+      this._biomes = params.biomes;
     }
 
-    _GetTextureWeights(p, n, up) {
-      const m = this._params.biomeGenerator.Get(p.x, p.y, p.z);
-      const h = p.z / _HEIGHT_NORMALIZATION;
-
-      const types = {
-        dirt: {index: 0, strength: 0.0},
-        grass: {index: 1, strength: 0.0},
-        gravel: {index: 2, strength: 0.0},
-        rock: {index: 3, strength: 0.0},
-        snow: {index: 4, strength: 0.0},
-        snowrock: {index: 5, strength: 0.0},
-        cobble: {index: 6, strength: 0.0},
-        sandyrock: {index: 7, strength: 0.0},
-      };
-
-      function _ApplyWeights(dst, v, m) {
-        for (let k in types) {
-          types[k].strength *= m;
-        }
-        types[dst].strength = v;
-      };
+    // Degrees between the surface normal and up. The sign of the normal
+    // doesn't matter, ring triangles are wound the other way round.
+    _Slope(n, up) {
+      if (!n || !up) {
+        return 0.0;
+      }
+      const c = math.sat(Math.abs(n.dot(up)));
+      return THREE.MathUtils.radToDeg(Math.acos(c));
+    }
 
-      types.grass.strength = 1.0;
-      _ApplyWeights('gravel', 1.0 - m, m);
+    _Match(p, n, up, climate) {
+      return this._biomes.Match(
+          p.z, this._Slope(n, up), climate.moisture, climate.temperature);
+    }
 
-      if (h < 0.2) {
-        const s = 1.0 - math.sat((h - 0.1) / 0.05);
-        _ApplyWeights('cobble', s, 1.0 - s);
+    _Colour(p, n, up, climate) {
+      const match = this._Match(p, n, up, climate);
+      const biomes = this._biomes.Biomes;
 
-        if (h < 0.1) {
-          const s = 1.0 - math.sat((h - 0.05) / 0.05);
-          _ApplyWeights('sandyrock', s, 1.0 - s);
+      const c = new THREE.Color(0, 0, 0);
+      const ramp = new THREE.Color();
+      let total = 0.0;
+      const _Add = (biome, cliff, w) => {
+        if (w <= 0.0) {
+          return;
         }
+        this._biomes.RampColour(biome, p.z, ramp, cliff);
+        c.r += ramp.r * w;
+        c.g += ramp.g * w;
+        c.b += ramp.b * w;
+        total += w;
+      };
+      for (let i = 0; i < biomes.length; i++) {
+        const w = match.weights[i];
+        _Add(biomes[i], false, w * (1.0 - match.cliff[i]));
+        _Add(biomes[i], true, w * match.cliff[i]);
+      }
+      if (total > 0.0) {
+        c.multiplyScalar(1.0 / total);
       } else {
-        if (h > 0.125) {
-          const s = (math.sat((h - 0.125) / 1.25));
-          _ApplyWeights('rock', s, 1.0 - s);
-        }
-
-        if (h > 1.5) {
-          const s = math.sat((h - 0.75) / 2.0);
-          _ApplyWeights('snow', s, 1.0 - s);
-        }
+        c.copy(_WHITE);
       }
 
-      // In case nothing gets set.
-      types.dirt.strength = 0.01;
+      const r = this._params.colourNoise.Get(p.x, p.y, p.z) * 2.0 - 1.0;
+      c.offsetHSL(0.0, 0.0, r * 0.01);
+      return c;
+    }
 
-      let total = 0.0;
-      for (let k in types) {
-        total += types[k].strength;
-      }
-      if (total < 0.01) {
-        const a = 0;
+    _GetTextureWeights(p, n, up, climate) {
+      const types = {};
+      for (let t of this._biomes.Textures) {
+        types[t.name] = {index: t.index, strength: 0.0};
       }
-      const normalization = 1.0 / total;
 
-      for (let k in types) {
-        types[k].strength / normalization;
+      const match = this._Match(p, n, up, climate);
+      const biomes = this._biomes.Biomes;
+      const textures = this._biomes.Textures;
+      for (let i = 0; i < biomes.length; i++) {
+        const w = match.weights[i];
+        const cliff = match.cliff[i];
+        types[textures[biomes[i].texture].name].strength += w * (1.0 - cliff);
+        if (cliff > 0.0) {
+          types[textures[biomes[i].cliff.texture].name].strength += w * cliff;
+        }
       }
 
+      // In case nothing gets set.
+      types[textures[this._biomes.FallbackTexture].name].strength += 0.01;
+
       return types;
     }
 
-    GetColour(position) {
-      return this._Colour(position.x, position.y, position.z);
+    GetColour(position, normal, up, climate) {
+      return this._Colour(position, normal, up, climate);
     }
 
-    GetSplat(position, normal, up) {
-      return this._GetTextureWeights(position, normal, up);
+    GetSplat(position, normal, up, climate) {
+      return this._GetTextureWeights(position, normal, up, climate);
+    }
+
+    // Strongest biome, as in biomes.BiomeSet.Biomes, or null when none match
+    GetBiome(position, normal, up, climate) {
+      const weights = this._Match(position, normal, up, climate).weights;
+      let best = -1;
+      for (let i = 0; i < weights.length; i++) {
+        if (weights[i] > 0.0 && (best < 0 || weights[i] > weights[best])) {
+          best = i;
+        }
+      }
+      return best >= 0 ? this._biomes.Biomes[best] : null;
     }
   }
 
   return {
-    HeightGenerator: HeightGenerator,
+    BLEND_MODES: _BLEND_MODES,
+    LayeredHeightGenerator: LayeredHeightGenerator,
     TextureSplatter: TextureSplatter,
   }
 })();
@@ -1,4 +1,19 @@
 export const utils = (function() {
+  function _Cyrb53(length, at) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < length; i++) {
+      const c = at(i);
+      h1 = Math.imul(h1 ^ c, 2654435761);
+      h2 = Math.imul(h2 ^ c, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507);
+    h1 ^= Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507);
+    h2 ^= Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+  }
+
   return {
     DictIntersection: function(dictA, dictB) {
       const intersection = {};
@@ -16,6 +31,35 @@ export const utils = (function() {
         delete diff[k];
       }
       return diff;
+    },
+
+    // Edges of a triangle list that belong to a single triangle, as [a, b]
+    // pairs in that triangle's winding order.
+    BoundaryEdges: function(indices) {
+      const edges = new Map();
+      for (let i = 0, n = indices.length; i < n; i += 3) {
+        for (let j = 0; j < 3; j++) {
+          const a = indices[i + j];
+          const b = indices[i + (j + 1) % 3];
+          const key = Math.min(a, b) * 0x200000 + Math.max(a, b);
+          if (edges.has(key)) {
+            edges.set(key, null);
+          } else {
+            edges.set(key, [a, b]);
+          }
+        }
+      }
+      return [...edges.values()].filter(e => e !== null);
+    },
+
+    // 53 bit string hash (cyrb53), as a base 36 string
+    Hash: function(str) {
+      return _Cyrb53(str.length, i => str.charCodeAt(i));
+    },
+
+    // Same as Hash, over the bytes of a Uint8Array
+    HashBytes: function(bytes) {
+      return _Cyrb53(bytes.length, i => bytes[i]);
     }
   };
 })();